@@ -0,0 +1,134 @@
+// ============================
+// Action: add_image_overlay
+// ============================
+import path from 'path';
+import { cutsDir, isSafeFilename, getImagePath } from '../paths.js';
+import { createHttpError } from '../errors.js';
+import { probeMedia, runFFmpeg, even } from '../media.js';
+import { resolveTimeRange, timeRangeSchema } from '../time.js';
+import { POSITIONS, getPositionXY } from '../overlay.js';
+
+/**
+ * Builds the graph that scales, fades and places input 1 (the looped image) over [0:v].
+ * The image only shows inside [start, end]; a window covering the whole video adds no enable clause.
+ */
+function buildImageOverlayFilter({ width, position, opacity, fadeIn, fadeOut }, { start, end }, wholeVideo) {
+  const image = [`scale=${width}:-2`, 'format=rgba'];
+  if (opacity < 1) image.push(`colorchannelmixer=aa=${opacity}`);
+  if (fadeIn > 0) image.push(`fade=t=in:st=${start}:d=${fadeIn}:alpha=1`);
+  if (fadeOut > 0) image.push(`fade=t=out:st=${Math.max(start, end - fadeOut)}:d=${fadeOut}:alpha=1`);
+
+  const { x, y } = getPositionXY(position, { w: 'overlay_w', h: 'overlay_h' });
+  const enable = wholeVideo ? '' : `:enable='between(t,${start},${end})'`;
+
+  return [
+    `[1:v]${image.join(',')}[logo]`,
+    `[0:v][logo]overlay=x=${x}:y=${y}:shortest=1${enable},format=yuv420p[v]`
+  ].join(';');
+}
+
+/**
+ * Prepares a logo/watermark overlay from an image uploaded via /api/upload-image.
+ * Without start/end/duration/range the image stays on for the whole video.
+ */
+async function prepareAddImageOverlay(inputPath, params) {
+  const { image, start, end, range } = params;
+  const position = params.position || 'top-right';
+  const scale = params.scale === undefined ? 0.15 : Number(params.scale);
+  const opacity = params.opacity === undefined ? 1 : Number(params.opacity);
+  const fadeIn = Number(params.fade_in) || 0;
+  const fadeOut = Number(params.fade_out) || 0;
+
+  if (!isSafeFilename(image)) {
+    throw createHttpError(400, 'Invalid image filename.');
+  }
+  const imagePath = getImagePath(image);
+  if (!imagePath) {
+    throw createHttpError(404, 'Overlay image not found. Upload it with /api/upload-image first.');
+  }
+
+  let media;
+  try {
+    media = await probeMedia(inputPath);
+  } catch (err) {
+    throw createHttpError(500, 'Could not probe video.');
+  }
+  if (!media.hasVideo) {
+    throw createHttpError(400, 'The file has no video stream to overlay.');
+  }
+
+  const shown = resolveTimeRange({
+    start: start || 'start',
+    end: end || (params.duration ? `+${params.duration}` : 'end'),
+    range
+  }, media);
+  const wholeVideo = shown.start === 0 && shown.end === media.duration;
+
+  if (fadeIn + fadeOut > shown.end - shown.start) {
+    throw createHttpError(400, 'Fade-in and fade-out are longer than the overlay window.');
+  }
+
+  const filter = buildImageOverlayFilter(
+    { width: even(media.width * scale), position, opacity, fadeIn, fadeOut },
+    shown,
+    wholeVideo
+  );
+  const uid = `${Date.now()}-${Math.round(Math.random() * 1e6)}`;
+  const outputFilename = `watermark-${uid}${path.extname(inputPath)}`;
+  const outputPath = path.join(cutsDir, outputFilename);
+
+  return {
+    run: async (progress) => {
+      await runFFmpeg([
+        '-nostdin', '-threads', '1',
+        '-i', inputPath,
+        '-loop', '1', '-i', imagePath,
+        '-filter_complex', filter,
+        '-map', '[v]', '-map', '0:a?',
+        '-c:v', 'libx264', '-preset', 'fast', '-crf', '23',
+        '-c:a', 'copy', '-y', outputPath
+      ], { ...progress, duration: media.duration });
+
+      return { filename: outputFilename, url: `/uploads/cuts/${outputFilename}`, start: shown.start, end: shown.end };
+    }
+  };
+}
+
+export default {
+  name: 'add_image_overlay',
+  aliases: ['add_logo', 'watermark'],
+  description: 'overlay an uploaded image such as a logo or watermark',
+  route: '/api/add-image-overlay',
+  runAsJob: true,
+  successMessage: 'Image overlay added.',
+  schema: {
+    type: 'object',
+    properties: {
+      image: { type: 'string', minLength: 1 },
+      position: { enum: POSITIONS },
+      scale: { type: 'number', exclusiveMinimum: 0, maximum: 1 },
+      opacity: { type: 'number', minimum: 0, maximum: 1 },
+      fade_in: { type: 'number', minimum: 0 },
+      fade_out: { type: 'number', minimum: 0 },
+      ...timeRangeSchema.properties,
+      duration: { type: 'number', exclusiveMinimum: 0 }
+    },
+    required: ['image']
+  },
+  rules: [
+    'If the prompt asks to add a logo, watermark or image file (.png, .jpg, .webp), use "add_image_overlay" with "image" set to that filename',
+    `position is one of ${POSITIONS.join(', ')} (default top-right); scale is the logo width as a fraction of the video width (default 0.15); opacity is 0–1`,
+    'fade_in/fade_out are seconds. For a limited window return "start" plus "duration" in seconds (or "end"); leave them out to keep the image on the whole video'
+  ],
+  examples: [
+    {
+      prompt: 'Put logo.png in the bottom-right at 50% opacity for the whole video',
+      actions: [{ action: 'add_image_overlay', image: 'logo.png', position: 'bottom-right', opacity: 0.5 }]
+    },
+    {
+      prompt: 'Show badge.png top-left from 00:00:05 for 4 seconds, fading in and out',
+      actions: [{ action: 'add_image_overlay', image: 'badge.png', position: 'top-left', start: '00:00:05', duration: 4, fade_in: 0.5, fade_out: 0.5 }]
+    }
+  ],
+  prepare: prepareAddImageOverlay
+};
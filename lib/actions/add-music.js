@@ -0,0 +1,153 @@
+// ============================
+// Action: add_music
+// ============================
+import path from 'path';
+import { cutsDir, isSafeFilename, getTrackPath } from '../paths.js';
+import { createHttpError } from '../errors.js';
+import { probeMedia, runFFmpeg } from '../media.js';
+import { resolveTime } from '../time.js';
+
+const AUDIO_FORMAT = 'aformat=sample_fmts=fltp:sample_rates=48000:channel_layouts=stereo';
+// Sidechain settings that pull the music down while the original audio is loud
+const DUCKING = 'sidechaincompress=threshold=0.03:ratio=8:attack=20:release=400';
+
+/**
+ * Builds the audio graph ending in [a]. The track (input 1) is trimmed to
+ * `musicLength`, faded, delayed to `start` and padded to the video's `length`,
+ * then mixed under input 0's audio or used on its own.
+ */
+function buildMusicFilter({ start, musicLength, length, volume, originalVolume, fadeIn, fadeOut, duck, replace }) {
+  const music = [
+    AUDIO_FORMAT,
+    `atrim=0:${musicLength}`,
+    'asetpts=PTS-STARTPTS',
+    `volume=${volume}`
+  ];
+  if (fadeIn > 0) music.push(`afade=t=in:st=0:d=${fadeIn}`);
+  if (fadeOut > 0) music.push(`afade=t=out:st=${Math.max(0, musicLength - fadeOut)}:d=${fadeOut}`);
+  if (start > 0) music.push(`adelay=${Math.round(start * 1000)}:all=1`);
+  music.push('apad', `atrim=0:${length}`);
+
+  if (replace) {
+    return `[1:a]${music.join(',')}[a]`;
+  }
+
+  const graph = [
+    `[1:a]${music.join(',')}[music]`,
+    `[0:a]${AUDIO_FORMAT},volume=${originalVolume}${duck ? ',asplit[orig][voice]' : '[orig]'}`
+  ];
+  if (duck) graph.push(`[music][voice]${DUCKING}[bed]`);
+  graph.push(`[orig][${duck ? 'bed' : 'music'}]amix=inputs=2:duration=longest:normalize=0[a]`);
+  return graph.join(';');
+}
+
+/**
+ * Prepares mixing an uploaded music or voice-over track into the video.
+ * The track loops (or is trimmed) to fill the video from `start` to the end.
+ */
+async function prepareAddMusic(inputPath, params) {
+  const { track } = params;
+  const volume = params.volume === undefined ? 0.3 : Number(params.volume);
+  const originalVolume = params.original_volume === undefined ? 1 : Number(params.original_volume);
+  const fadeIn = Number(params.fade_in) || 0;
+  const fadeOut = Number(params.fade_out) || 0;
+  const loop = params.loop !== false;
+
+  if (!isSafeFilename(track)) {
+    throw createHttpError(400, 'Invalid track filename.');
+  }
+  const trackPath = getTrackPath(track);
+  if (!trackPath) {
+    throw createHttpError(404, 'Audio track not found. Upload it with /api/upload-audio first.');
+  }
+
+  let media;
+  let trackMedia;
+  try {
+    [media, trackMedia] = await Promise.all([probeMedia(inputPath), probeMedia(trackPath)]);
+  } catch (err) {
+    throw createHttpError(500, 'Could not probe the video or the track.');
+  }
+  if (!trackMedia.hasAudio) {
+    throw createHttpError(400, 'The track has no audio stream.');
+  }
+
+  const start = resolveTime(params.start || 'start', media);
+  if (Number.isNaN(start)) {
+    throw createHttpError(400, 'Invalid start time.');
+  }
+  if (start >= media.duration) {
+    throw createHttpError(400, 'The track must start before the end of the video.');
+  }
+
+  // A looped track fills the rest of the video; otherwise it stops when it runs out
+  const musicLength = loop ? media.duration - start : Math.min(trackMedia.duration, media.duration - start);
+
+  // Without audio there is nothing to mix under, so the track becomes the soundtrack
+  const replace = params.mode === 'replace' || !media.hasAudio;
+  const filter = buildMusicFilter({
+    start, musicLength, length: media.duration, volume, originalVolume, fadeIn, fadeOut, duck: Boolean(params.duck), replace
+  });
+
+  const uid = `${Date.now()}-${Math.round(Math.random() * 1e6)}`;
+  const outputFilename = `music-${uid}${path.extname(inputPath)}`;
+  const outputPath = path.join(cutsDir, outputFilename);
+
+  return {
+    run: async (progress) => {
+      await runFFmpeg([
+        '-nostdin', '-threads', '1',
+        '-i', inputPath,
+        ...(loop ? ['-stream_loop', '-1'] : []), '-i', trackPath,
+        '-filter_complex', filter,
+        '-map', '0:v?', '-map', '[a]',
+        '-c:v', 'copy', '-c:a', 'aac', '-b:a', '192k',
+        '-t', String(media.duration), '-y', outputPath
+      ], { ...progress, duration: media.duration });
+
+      return { filename: outputFilename, url: `/uploads/cuts/${outputFilename}` };
+    }
+  };
+}
+
+export default {
+  name: 'add_music',
+  aliases: ['background_music', 'voice_over', 'replace_audio'],
+  description: 'mix an uploaded music or voice-over track under the audio, or replace the audio with it',
+  route: '/api/add-music',
+  runAsJob: true,
+  successMessage: 'Music added.',
+  schema: {
+    type: 'object',
+    properties: {
+      track: { type: 'string', minLength: 1 },
+      mode: { enum: ['mix', 'replace'] },
+      volume: { type: 'number', minimum: 0, maximum: 2 },
+      original_volume: { type: 'number', minimum: 0, maximum: 2 },
+      start: { type: 'string', format: 'time-expression' },
+      loop: { type: 'boolean' },
+      fade_in: { type: 'number', minimum: 0 },
+      fade_out: { type: 'number', minimum: 0 },
+      duck: { type: 'boolean' }
+    },
+    required: ['track']
+  },
+  rules: [
+    'If the prompt adds music, a song, a soundtrack or a voice-over from an audio file (.mp3, .wav, .m4a), use "add_music" with "track" set to that filename',
+    'mode "replace" when the user wants to replace or swap out the original audio; otherwise leave it out to mix under the original',
+    'volume is the track level (default 0.3, 1 = unchanged) and original_volume the original audio level; "20%" means 0.2',
+    'duck: true when speech should stay audible or the music should dip under the voice; loop: false when the track should not repeat',
+    'start is when the track begins (a time expression); fade_in/fade_out are seconds'
+  ],
+  examples: [
+    {
+      prompt: 'Add song.mp3 as background music at 20% with ducking and a 2 second fade out',
+      actions: [{ action: 'add_music', track: 'song.mp3', volume: 0.2, duck: true, fade_out: 2 }]
+    },
+    {
+      prompt: 'Replace the audio with voiceover.wav',
+      actions: [{ action: 'add_music', track: 'voiceover.wav', mode: 'replace', volume: 1, loop: false }]
+    }
+  ],
+  prepare: prepareAddMusic
+};
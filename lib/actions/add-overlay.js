@@ -0,0 +1,132 @@
+// ============================
+// Action: add_overlay
+// ============================
+import path from 'path';
+import { cutsDir } from '../paths.js';
+import { createHttpError } from '../errors.js';
+import { probeMedia, runFFmpeg } from '../media.js';
+import { resolveTimeRange, secondsToTime } from '../time.js';
+import { listFonts, resolveFontFile } from '../fonts.js';
+import { POSITIONS, SLIDE_DIRECTIONS, textOverlaySchema, buildDrawtextFilter, parseOverlayPrompt } from '../overlay.js';
+
+/**
+ * Turns a natural language overlay prompt into a one-overlay spec.
+ */
+function overlayFromPrompt(prompt) {
+  const data = parseOverlayPrompt(prompt);
+  const window = data.start_time === 'END'
+    ? { start: `end-${secondsToTime(data.duration)}`, end: 'end' }
+    : { start: secondsToTime(data.start_time), duration: data.duration };
+  return { text: data.text, color: data.color, position: data.position, bold: data.bold, size: data.fontsize, ...window };
+}
+
+/**
+ * Prepares text overlays: either the structured `overlays` list or one overlay
+ * described by a natural language `prompt`. All of them are drawn in one pass.
+ * An overlay without start/end/duration/range stays on for the whole video.
+ */
+async function prepareAddOverlay(inputFilePath, { prompt, overlays }) {
+  if (!prompt && !overlays) {
+    throw createHttpError(400, 'Missing overlay prompt or overlays.');
+  }
+  const specs = overlays || [overlayFromPrompt(prompt)];
+
+  let media;
+  try {
+    media = await probeMedia(inputFilePath);
+  } catch (err) {
+    console.error("Failed to probe video:", err);
+    throw createHttpError(500, 'Could not probe video.');
+  }
+  if (!media.hasVideo) {
+    throw createHttpError(400, 'The file has no video stream to overlay.');
+  }
+
+  const filters = specs.map((overlay, i) => {
+    const shown = resolveTimeRange({
+      start: overlay.start || 'start',
+      end: overlay.end || (overlay.duration ? `+${overlay.duration}` : 'end'),
+      range: overlay.range
+    }, media);
+    const length = shown.end - shown.start;
+    if ((overlay.fade_in || 0) + (overlay.fade_out || 0) > length) {
+      throw createHttpError(400, `Overlay ${i + 1}: fade-in and fade-out are longer than the overlay window.`);
+    }
+    const slides = [overlay.slide_in, overlay.slide_out].filter(Boolean).length;
+    if (slides * (overlay.slide_duration || 0.5) > length) {
+      throw createHttpError(400, `Overlay ${i + 1}: the slides are longer than the overlay window.`);
+    }
+
+    const fontFile = overlay.font ? resolveFontFile(overlay.font, overlay) : null;
+    return buildDrawtextFilter(overlay, shown, {
+      height: media.height,
+      wholeVideo: shown.start === 0 && shown.end === media.duration,
+      fontFile
+    });
+  });
+
+  const outputFilename = `overlay-${Date.now()}-${Math.floor(Math.random() * 1e9)}${path.extname(inputFilePath)}`;
+  const outputFilePath = path.join(cutsDir, outputFilename);
+
+  return {
+    run: async (progress) => {
+      await runFFmpeg([
+        '-nostdin', '-threads', '1',
+        '-y', '-i', inputFilePath,
+        '-vf', [...filters, 'format=yuv420p'].join(','),
+        '-c:v', 'libx264',
+        '-preset', 'fast',
+        '-crf', '23',
+        '-c:a', 'copy',
+        outputFilePath
+      ], { ...progress, duration: media.duration });
+
+      return { filename: outputFilename, url: `/uploads/cuts/${outputFilename}`, overlays: specs.length };
+    }
+  };
+}
+
+export default {
+  name: 'add_overlay',
+  aliases: ['add_text'],
+  description: 'draw one or more styled, optionally animated text overlays on the video',
+  route: '/api/add-overlay',
+  runAsJob: false,
+  successMessage: 'Overlay added.',
+  schema: {
+    type: 'object',
+    properties: {
+      prompt: { type: 'string', minLength: 1 },
+      overlays: { type: 'array', items: textOverlaySchema, minItems: 1, maxItems: 20 }
+    },
+    anyOf: [{ required: ['prompt'] }, { required: ['overlays'] }]
+  },
+  // Read on every prompt so newly installed fonts are offered right away
+  get rules() {
+    const fonts = listFonts().map(font => font.family);
+    return [
+      'If the prompt says “Add \'text\'...” or “Put \'text\'...” (e.g., “Add \'Subscribe Now\' at the end”), use action "add_overlay" with an "overlays" list holding one entry per quoted text',
+      'Each overlay has "text" plus optional: font (an installed family), bold, italic, size (pixels), color (name or #RRGGBB), opacity 0–1, box with box_color/box_opacity/box_padding, outline (pixels) with outline_color, shadow',
+      `Place overlays with position (${POSITIONS.join(', ')}; default center) or with x/y in pixels or percentages ("10%") of the frame, measured to the text's top-left corner`,
+      `Timing per overlay: "start" plus "duration" in seconds (or "end"), or "range"; leave them out to keep the text on the whole video. "At the end" for N seconds is start "end-00:00:0N". Animations: fade_in/fade_out seconds, slide_in/slide_out from or to ${SLIDE_DIRECTIONS.join(', ')} taking slide_duration seconds (default 0.5)`,
+      fonts.length ? `Installed fonts: ${fonts.join(', ')}` : 'No fonts are installed, so leave "font" out'
+    ];
+  },
+  examples: [
+    {
+      prompt: 'Add \'Subscribe Now\' at the end in red top-right bold text',
+      actions: [{ action: 'add_overlay', overlays: [{ text: 'Subscribe Now', color: 'red', position: 'top-right', bold: true, start: 'end-00:00:03', end: 'end' }] }]
+    },
+    {
+      prompt: 'Put \'Chapter 1\' sliding in from the left at 00:00:02 for 4 seconds on a black box, and \'Intro\' in the top-left the whole time',
+      actions: [{
+        action: 'add_overlay',
+        overlays: [
+          { text: 'Chapter 1', start: '00:00:02', duration: 4, slide_in: 'left', box: true, box_color: 'black' },
+          { text: 'Intro', position: 'top-left' }
+        ]
+      }]
+    }
+  ],
+  prepare: prepareAddOverlay
+};
@@ -0,0 +1,203 @@
+// ============================
+// Action: add_subtitles
+// ============================
+import path from 'path';
+import fs from 'fs';
+import { cutsDir, subtitlesDir, downloadDir } from '../paths.js';
+import { createHttpError } from '../errors.js';
+import { probeMedia, progressSlice, runFFmpeg, escapeFilterValue } from '../media.js';
+import { reportProgress } from '../jobs.js';
+import { loadTranscript, requireTranscriber, getOrCreateTranscript, translateTranscript } from '../transcript-store.js';
+import { vocabularySchema } from '../transcript.js';
+import { requireTranslator } from '../translate.js';
+import {
+  SUBTITLE_FORMATS, subtitleStyleSchema, resolveSubtitleStyle, resolveLanguage, wrapCues, formatSubtitles, formatAnimatedAss
+} from '../subtitles.js';
+
+// Subtitle codec and track format for soft subtitles in each container
+const SOFT_CODECS = {
+  '.mp4': { codec: 'mov_text', format: 'srt' },
+  '.mov': { codec: 'mov_text', format: 'srt' },
+  '.m4v': { codec: 'mov_text', format: 'srt' },
+  '.webm': { codec: 'webvtt', format: 'vtt' },
+  '.mkv': { codec: 'ass', format: 'ass' }
+};
+// Stands in for the spoken language when source_language is not given
+const UNKNOWN_LANGUAGE = { code: null, tag: 'und', name: 'Original' };
+
+/**
+ * Prepares subtitles from the video's stored transcript (transcribing it first
+ * when there is none), translated into each of `target_languages`. Burn mode
+ * draws the first target language (or the spoken one) into the picture; soft
+ * mode muxes one track per language, tagged with its language. Every language
+ * is also kept as a downloadable file in the requested format.
+ * Animated captions are built from the transcript's word timings instead of its cues.
+ */
+async function prepareAddSubtitles(inputFilePath, params = {}) {
+  if (!loadTranscript(path.basename(inputFilePath))) requireTranscriber();
+
+  const mode = params.mode || 'burn';
+  const format = params.format || 'srt';
+  const ext = path.extname(inputFilePath);
+  const soft = SOFT_CODECS[ext.toLowerCase()];
+  if (mode === 'soft' && !soft) {
+    throw createHttpError(400, `Soft subtitles are not supported in ${ext} files. Use mode "burn" or convert to MP4 or MKV first.`);
+  }
+
+  const source = params.source_language ? resolveLanguage(params.source_language) : UNKNOWN_LANGUAGE;
+  const targets = [...new Map((params.target_languages || []).map(resolveLanguage).map(lang => [lang.code, lang])).values()]
+    .filter(lang => lang.code !== source.code);
+  if (params.animated_captions && (mode === 'soft' || targets.length > 0)) {
+    throw createHttpError(400, 'Animated captions follow the spoken words, so they are burned in and not translated.');
+  }
+  if (targets.length > 0) requireTranslator();
+  // Soft tracks carry the spoken language too unless include_original is false;
+  // burn mode draws only the first target language
+  const languages = mode === 'soft'
+    ? [...(params.include_original === false && targets.length > 0 ? [] : [source]), ...targets]
+    : [targets[0] || source];
+
+  let media;
+  try {
+    media = await probeMedia(inputFilePath);
+  } catch (err) {
+    throw createHttpError(500, 'Could not probe video.');
+  }
+  const style = resolveSubtitleStyle(params, media);
+
+  const uniqueSuffix = `${Date.now()}-${Math.round(Math.random() * 1e9)}`;
+  const trackFormat = mode === 'soft' ? soft.format : 'ass';
+  const outputFilename = `subtitled-${uniqueSuffix}${ext}`;
+  const outputFilePath = path.join(cutsDir, outputFilename);
+  // Every language gets a download; the spoken one keeps the plain name, translations add their code
+  const tracks = [source, ...targets].map(language => {
+    const name = language === source ? `subtitles-${uniqueSuffix}` : `subtitles-${uniqueSuffix}.${language.code}`;
+    return {
+      language,
+      muxed: languages.includes(language),
+      sidecarFilename: `${name}.${format}`,
+      trackFilePath: path.join(subtitlesDir, `${name}.${trackFormat}`)
+    };
+  });
+
+  return {
+    run: async (progress) => {
+      try {
+        // Step 1: Transcript cues (stored or edited ones are reused) and their translations
+        const transcript = await getOrCreateTranscript(inputFilePath, progressSlice(progress, 0, 30), { vocabulary: params.vocabulary });
+        if (transcript.cues.length === 0) {
+          throw createHttpError(422, 'No speech was found to subtitle.');
+        }
+
+        for (const [i, track] of tracks.entries()) {
+          const cues = track.language === source ? transcript.cues : await translateTranscript(transcript, track.language);
+          const translated = progressSlice(progress, 30, 30 + ((i + 1) * 20) / tracks.length);
+          if (translated.job) reportProgress(translated.job, translated.to);
+
+          // Re-wrapped to the line length; animated captions replace the burned (and any ASS) file
+          const wrapped = wrapCues(cues, style.maxChars);
+          const animated = style.animated ? formatAnimatedAss(transcript.words, style, media) : null;
+          const sidecar = animated && format === 'ass' ? animated : formatSubtitles(format, wrapped, style, media);
+          fs.writeFileSync(path.join(downloadDir, track.sidecarFilename), sidecar);
+          if (track.muxed) fs.writeFileSync(track.trackFilePath, animated || formatSubtitles(trackFormat, wrapped, style, media));
+        }
+
+        // Step 2: Burn the styled ASS file, or mux the tracks next to the copied streams
+        // Subtitle streams the input already has are kept and the new tracks numbered after them
+        const muxed = tracks.filter(track => track.muxed);
+        const existing = media.streams.filter(stream => stream.codec_type === 'subtitle').length;
+        const encodeArgs = mode === 'soft'
+          ? [
+            ...muxed.flatMap(track => ['-i', track.trackFilePath]),
+            '-map', '0:v', '-map', '0:a?', '-map', '0:s?',
+            ...muxed.flatMap((_, i) => ['-map', `${i + 1}:0`]),
+            '-c:v', 'copy', '-c:a', 'copy', '-c:s', 'copy',
+            ...muxed.flatMap(({ language }, i) => [
+              `-c:s:${existing + i}`, soft.codec,
+              `-metadata:s:s:${existing + i}`, `language=${language.tag}`,
+              `-metadata:s:s:${existing + i}`, `title=${language.name}`
+            ])
+          ]
+          : ['-vf', `subtitles=filename=${escapeFilterValue(muxed[0].trackFilePath)}`, '-c:a', 'copy'];
+        await runFFmpeg([
+          '-nostdin', '-threads', '1',
+          '-i', inputFilePath,
+          ...encodeArgs,
+          outputFilePath
+        ], { ...progressSlice(progress, 50, 100), duration: media.duration });
+      } catch (err) {
+        console.error("🔥 Subtitle process failed:", err.message);
+        throw err;
+      } finally {
+        // Cleanup
+        tracks.forEach(({ trackFilePath }) => fs.rmSync(trackFilePath, { force: true }));
+      }
+
+      const [primary] = tracks.filter(track => track.muxed);
+      return {
+        filename: outputFilename,
+        url: `/uploads/cuts/${outputFilename}`,
+        mode,
+        subtitlesFilename: primary.sidecarFilename,
+        subtitlesUrl: `/downloads/${primary.sidecarFilename}`,
+        subtitles: tracks.map(({ language, muxed, sidecarFilename }) => ({
+          language: language.code || language.tag,
+          name: language.name,
+          inVideo: muxed,
+          filename: sidecarFilename,
+          url: `/downloads/${sidecarFilename}`
+        }))
+      };
+    }
+  };
+}
+
+export default {
+  name: 'add_subtitles',
+  aliases: ['add_captions'],
+  description: 'transcribe the speech and add subtitles, burned in or as soft tracks, optionally translated, with downloadable SRT/VTT/ASS files',
+  route: '/api/add-subtitles',
+  runAsJob: true,
+  successMessage: 'Subtitles added.',
+  schema: {
+    type: 'object',
+    properties: {
+      mode: { enum: ['burn', 'soft'] },
+      format: { enum: SUBTITLE_FORMATS },
+      vocabulary: vocabularySchema,
+      source_language: { type: 'string', minLength: 2 },
+      target_languages: { type: 'array', items: { type: 'string', minLength: 2 }, minItems: 1, maxItems: 8 },
+      include_original: { type: 'boolean' },
+      ...subtitleStyleSchema.properties
+    }
+  },
+  rules: [
+    'If the prompt asks for subtitles or captions, use "add_subtitles"',
+    'mode: "burn" (default) draws them into the picture; "soft" adds a track viewers can turn on and off ("soft", "toggleable", "closed captions")',
+    'format is the downloadable subtitle file: "srt" (default), "vtt" or "ass"',
+    'vocabulary lists names or terms the speech contains so they are spelled correctly ("add subtitles, the brand is Zyntra" → vocabulary: ["Zyntra"])',
+    'If the prompt names subtitle languages, set "target_languages" to their ISO 639-1 codes ("Spanish and French subtitles" → ["es", "fr"]); with more than one language use mode "soft" unless the user asks to burn them in',
+    'source_language is the spoken language when the user states it; include_original: false leaves the spoken language out of soft tracks',
+    'For TikTok, Reels or Shorts style, karaoke or word-by-word captions set "animated_captions": true (burned in, spoken language only); highlight_color is the color of the word being said (default yellow) and words_per_group how many words show at once (default 2)',
+    'Styling: color, outline_color and background_color are color names or #RRGGBB; position is "top", "middle" or "bottom"; size is in pixels; outline is the outline width; background: true draws a box behind the text; max_chars is the longest line'
+  ],
+  examples: [
+    {
+      prompt: 'Add yellow subtitles at the top',
+      actions: [{ action: 'add_subtitles', color: 'yellow', position: 'top' }]
+    },
+    {
+      prompt: 'Add soft captions and give me a VTT file',
+      actions: [{ action: 'add_subtitles', mode: 'soft', format: 'vtt' }]
+    },
+    {
+      prompt: 'Add TikTok style captions with the current word in green',
+      actions: [{ action: 'add_subtitles', animated_captions: true, highlight_color: 'green' }]
+    },
+    {
+      prompt: 'Add Spanish and French subtitles',
+      actions: [{ action: 'add_subtitles', mode: 'soft', target_languages: ['es', 'fr'] }]
+    }
+  ],
+  prepare: prepareAddSubtitles
+};
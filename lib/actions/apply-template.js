@@ -0,0 +1,176 @@
+// ============================
+// Action: apply_template
+// ============================
+import path from 'path';
+import fs from 'fs';
+import { tempDir } from '../paths.js';
+import { createHttpError } from '../errors.js';
+import { probeMedia, progressSlice, runFFmpeg, even } from '../media.js';
+import { resolveTimeRange } from '../time.js';
+import { resolveFontFile } from '../fonts.js';
+import { buildDrawtextFilter, toFFmpegColor } from '../overlay.js';
+import { TRANSITIONS, prepareJoin } from '../join.js';
+import { listTemplates, findTemplate, fillTemplateOverlays, getTemplateClipPath } from '../templates.js';
+import addOverlay from './add-overlay.js';
+
+const DEFAULT_CARD_DURATION = 3;
+
+/**
+ * Builds the drawtext chain for overlays drawn on a template clip or card,
+ * timed against the clip; without timing the text stays on for the whole clip.
+ */
+function buildTemplateOverlayFilters(overlays, clip) {
+  return overlays.map(overlay => {
+    const shown = resolveTimeRange({
+      start: overlay.start || 'start',
+      end: overlay.end || (overlay.duration ? `+${overlay.duration}` : 'end'),
+      range: overlay.range
+    }, clip);
+    const fontFile = overlay.font ? resolveFontFile(overlay.font, overlay) : null;
+    return buildDrawtextFilter(overlay, shown, {
+      height: clip.height,
+      wholeVideo: shown.start === 0 && shown.end === clip.duration,
+      fontFile
+    });
+  });
+}
+
+/**
+ * Renders an intro/outro to a temporary file: the stored clip with its filled
+ * overlays drawn on, or a title card of the video's size and frame rate.
+ * A stored clip without overlays is used as it is.
+ */
+async function renderTemplateClip(template, overlays, media, outputPath, progress) {
+  if (template.clip) {
+    const clipPath = getTemplateClipPath(template);
+    if (!fs.existsSync(clipPath)) {
+      throw createHttpError(500, `The clip of template '${template.name}' is missing.`);
+    }
+    if (overlays.length === 0) return clipPath;
+
+    const clip = await probeMedia(clipPath);
+    await runFFmpeg([
+      '-nostdin', '-threads', '1',
+      '-y', '-i', clipPath,
+      '-vf', [...buildTemplateOverlayFilters(overlays, clip), 'format=yuv420p'].join(','),
+      '-c:v', 'libx264', '-preset', 'fast', '-crf', '23',
+      '-c:a', 'copy',
+      outputPath
+    ], { ...progress, duration: clip.duration });
+    return outputPath;
+  }
+
+  const duration = template.card.duration || DEFAULT_CARD_DURATION;
+  const background = toFFmpegColor(template.card.background || 'black');
+  const size = `${even(media.width)}x${even(media.height)}`;
+  const filters = [...buildTemplateOverlayFilters(overlays, { duration, height: media.height, fps: media.fps }), 'format=yuv420p'];
+  await runFFmpeg([
+    '-nostdin', '-threads', '1',
+    '-y', '-f', 'lavfi', '-i', `color=c=${background}:s=${size}:r=${media.fps || 30}:d=${duration}`,
+    '-vf', filters.join(','),
+    '-c:v', 'libx264', '-preset', 'fast', '-crf', '23',
+    outputPath
+  ], { ...progress, duration });
+  return outputPath;
+}
+
+/**
+ * Prepares applying a registered template. An intro or outro is rendered with
+ * the filled-in variables and joined before or after the video (the video sets
+ * the size and frame rate); a lower third is drawn over the video like
+ * add_overlay, at the template's timing unless start/end/duration/range are given.
+ */
+async function prepareApplyTemplate(inputFilePath, params) {
+  const template = findTemplate(params.template);
+  const overlays = fillTemplateOverlays(template, params.variables);
+
+  if (template.kind === 'lower_third') {
+    const timing = ['start', 'end', 'duration', 'range'].filter(field => params[field] !== undefined);
+    const placed = timing.length === 0 ? overlays : overlays.map(overlay => {
+      const { start, end, duration, range, ...rest } = overlay;
+      return { ...rest, ...Object.fromEntries(timing.map(field => [field, params[field]])) };
+    });
+    return addOverlay.prepare(inputFilePath, { overlays: placed });
+  }
+
+  let media;
+  try {
+    media = await probeMedia(inputFilePath);
+  } catch (err) {
+    throw createHttpError(500, 'Could not probe video.');
+  }
+  if (!media.hasVideo) {
+    throw createHttpError(400, 'The file has no video stream.');
+  }
+
+  const transition = params.transition || template.transition || 'none';
+  const duration = params.transition_duration || template.transition_duration || 1;
+  const renderedPath = path.join(tempDir, `template-${Date.now()}-${Math.round(Math.random() * 1e9)}.mp4`);
+
+  return {
+    run: async (progress) => {
+      try {
+        // Step 1: The intro/outro clip with its text
+        const clipPath = await renderTemplateClip(template, overlays, media, renderedPath, progressSlice(progress, 0, 30));
+
+        // Step 2: Join it before or after the video
+        const intro = template.kind === 'intro';
+        const join = await prepareJoin(intro ? [clipPath, inputFilePath] : [inputFilePath, clipPath], {
+          transition, duration, reference: intro ? 1 : 0, prefix: 'templated'
+        });
+        const output = await join.run(progressSlice(progress, 30, 100));
+        return { ...output, template: template.name };
+      } finally {
+        // Cleanup
+        fs.rmSync(renderedPath, { force: true });
+      }
+    }
+  };
+}
+
+export default {
+  name: 'apply_template',
+  aliases: ['add_template'],
+  description: 'apply a registered intro, outro or lower-third template, filling in its text variables',
+  route: '/api/apply-template',
+  runAsJob: true,
+  successMessage: 'Template applied.',
+  schema: {
+    type: 'object',
+    properties: {
+      template: { type: 'string', minLength: 1 },
+      variables: { type: 'object', additionalProperties: { type: 'string' } },
+      transition: { enum: ['none', ...Object.keys(TRANSITIONS)] },
+      transition_duration: { type: 'number', exclusiveMinimum: 0, maximum: 5 },
+      start: { type: 'string', format: 'time-expression' },
+      end: { type: 'string', format: 'time-expression' },
+      duration: { type: 'number', exclusiveMinimum: 0 },
+      range: { type: 'string', format: 'range-expression' }
+    },
+    required: ['template']
+  },
+  // Read on every prompt so newly registered templates are offered right away
+  get rules() {
+    const templates = listTemplates();
+    const registered = templates.length
+      ? templates.map(template => `${template.name} (${template.kind.replace('_', ' ')}${template.description ? `: ${template.description}` : ''})`).join('; ')
+      : 'none yet';
+    return [
+      'If the prompt asks for an intro, outro, end card, title card or lower third, or names a template, use "apply_template" with "template" set to the template name, or to "intro", "outro" or "lower third" to use the first one of that kind',
+      `Registered templates: ${registered}`,
+      '"variables" fills the template\'s placeholder texts, e.g. a lower third "for Jane Doe, CEO" → variables: {"name": "Jane Doe", "title": "CEO"}',
+      'transition ("fade", "dissolve", "wipe") and transition_duration override how an intro or outro joins the video; start with duration, end or range place a lower third'
+    ];
+  },
+  examples: [
+    {
+      prompt: 'Add our outro',
+      actions: [{ action: 'apply_template', template: 'outro' }]
+    },
+    {
+      prompt: 'Add a lower third for Jane Doe, CEO at 00:00:05 for 4 seconds',
+      actions: [{ action: 'apply_template', template: 'lower third', variables: { name: 'Jane Doe', title: 'CEO' }, start: '00:00:05', duration: 4 }]
+    }
+  ],
+  prepare: prepareApplyTemplate
+};
@@ -0,0 +1,97 @@
+// ============================
+// Action: audio_cleanup
+// ============================
+import path from 'path';
+import { cutsDir } from '../paths.js';
+import { createHttpError } from '../errors.js';
+import { probeMedia, progressSlice } from '../media.js';
+import { resolveTimeRange, timeRangeSchema } from '../time.js';
+import { audioCleanupSchema, buildAudioChain, encodeAudioChain } from '../audio.js';
+
+/**
+ * Prepares loudness normalization, high-pass, noise reduction and/or a gain
+ * change. The gain applies to start/end or range when given, otherwise to the whole video.
+ */
+async function prepareAudioCleanup(inputPath, params) {
+  const { loudness, true_peak, highpass, denoise, start, end, range } = params;
+  const gain = params.gain === undefined ? undefined : Number(params.gain);
+
+  let media;
+  try {
+    media = await probeMedia(inputPath);
+  } catch (err) {
+    throw createHttpError(500, 'Could not probe video.');
+  }
+  if (!media.hasAudio) {
+    throw createHttpError(400, 'The file has no audio to clean up.');
+  }
+
+  if ((start || end || range) && gain === undefined) {
+    throw createHttpError(400, 'A time range only applies to "gain".');
+  }
+  const window = start || end || range
+    ? resolveTimeRange({ start: start || 'start', end: end || 'end', range }, media)
+    : null;
+
+  const options = {
+    loudness: loudness === undefined ? undefined : Number(loudness),
+    true_peak: true_peak === undefined ? undefined : Number(true_peak),
+    highpass: highpass === undefined ? undefined : Number(highpass),
+    denoise,
+    gain,
+    window
+  };
+
+  const uid = `${Date.now()}-${Math.round(Math.random() * 1e6)}`;
+  const outputFilename = `cleaned-${uid}${path.extname(inputPath)}`;
+  const outputPath = path.join(cutsDir, outputFilename);
+
+  return {
+    run: async (progress = {}) => {
+      const filters = await buildAudioChain(inputPath, options, {
+        progress: progressSlice(progress, 0, 40),
+        duration: media.duration
+      });
+      await encodeAudioChain(inputPath, outputPath, filters, {
+        progress: progressSlice(progress, 40, 100),
+        duration: media.duration
+      });
+
+      return { filename: outputFilename, url: `/uploads/cuts/${outputFilename}` };
+    }
+  };
+}
+
+export default {
+  name: 'audio_cleanup',
+  aliases: ['normalize_audio', 'denoise', 'volume'],
+  description: 'normalize loudness, reduce noise or change the volume',
+  route: '/api/audio-cleanup',
+  runAsJob: true,
+  successMessage: 'Audio cleaned up.',
+  schema: {
+    type: 'object',
+    properties: {
+      ...audioCleanupSchema.properties,
+      gain: { type: 'number', minimum: -30, maximum: 30 },
+      ...timeRangeSchema.properties
+    },
+    anyOf: [{ required: ['loudness'] }, { required: ['highpass'] }, { required: ['denoise'] }, { required: ['gain'] }]
+  },
+  rules: [
+    'If the prompt asks to normalize, level or fix the volume, use "audio_cleanup" with "loudness" in LUFS (-16 by default, -14 for "louder"/social media, -23 for broadcast)',
+    '"reduce background noise", "remove hiss" → "denoise": "light" | "medium" | "strong" (default "medium") plus "highpass": 80 for rumble or hum',
+    'To turn a part (or all) of the video up or down, return "gain" in dB (e.g. 6 for louder, -6 for quieter) with optional start/end or range'
+  ],
+  examples: [
+    {
+      prompt: 'Reduce background noise and normalize the volume',
+      actions: [{ action: 'audio_cleanup', denoise: 'medium', highpass: 80, loudness: -16 }]
+    },
+    {
+      prompt: 'Make 0:30 to 0:45 quieter',
+      actions: [{ action: 'audio_cleanup', gain: -6, start: '00:00:30', end: '00:00:45' }]
+    }
+  ],
+  prepare: prepareAudioCleanup
+};
@@ -0,0 +1,97 @@
+// ============================
+// Action: change_speed
+// ============================
+import path from 'path';
+import { cutsDir } from '../paths.js';
+import { createHttpError } from '../errors.js';
+import { MIN_SPEED, MAX_SPEED, probeMedia, buildSegmentsFilter, runFFmpeg } from '../media.js';
+import { timeRangeSchema, resolveTimeRange } from '../time.js';
+
+/**
+ * Prepares a speed change (speed-up or slow-down) for a segment, or for the
+ * whole clip when no start/end/range is given.
+ */
+async function prepareChangeSpeed(inputPath, params) {
+  const speed = parseFloat(params.speed);
+  if (isNaN(speed) || speed < MIN_SPEED || speed > MAX_SPEED) {
+    throw createHttpError(400, `Speed must be between ${MIN_SPEED} and ${MAX_SPEED}.`);
+  }
+
+  const audio = params.audio || 'preserve';
+
+  let media;
+  try {
+    media = await probeMedia(inputPath);
+  } catch (err) {
+    throw createHttpError(500, 'Could not probe duration.');
+  }
+  const fullDur = media.duration;
+
+  const hasRange = params.start || params.end || params.range;
+  const { start: sSec, end: eSec } = resolveTimeRange(hasRange ? params : { range: 'whole' }, media);
+
+  // Normal speed before and after the range, retimed inside it
+  const segments = [];
+  if (sSec > 0) segments.push({ start: 0, end: sSec });
+  segments.push({ start: sSec, end: eSec < fullDur ? eSec : null, speed, audio });
+  if (eSec < fullDur) segments.push({ start: eSec });
+
+  const totalLen = sSec + ((eSec - sSec) / speed) + (fullDur - eSec);
+  const uid = `${Date.now()}-${Math.round(Math.random() * 1e6)}`;
+  const outputFilename = `speed-${uid}${path.extname(inputPath)}`;
+  const outputPath = path.join(cutsDir, outputFilename);
+
+  return {
+    run: async (progress) => {
+      try {
+        await runFFmpeg([
+          '-nostdin', '-threads', '1',
+          '-i', inputPath,
+          ...buildSegmentsFilter(segments, media),
+          '-c:v', 'libx264', '-preset', 'fast', '-crf', '23',
+          '-c:a', 'aac', '-y', outputPath
+        ], { ...progress, duration: totalLen });
+      } catch (err) {
+        console.error('💥 Speed change failed:', err.message);
+        throw err;
+      }
+
+      return { filename: outputFilename, url: `/uploads/cuts/${outputFilename}` };
+    }
+  };
+}
+
+export default {
+  name: 'change_speed',
+  aliases: ['speed_up', 'timelapse'],
+  description: 'speed up or slow down a part of the video or the whole clip',
+  route: '/api/change-speed',
+  runAsJob: true,
+  successMessage: 'Speed changed.',
+  schema: {
+    type: 'object',
+    properties: {
+      ...timeRangeSchema.properties,
+      speed: { type: 'number', minimum: MIN_SPEED, maximum: MAX_SPEED },
+      audio: { enum: ['preserve', 'pitch', 'mute'] }
+    },
+    required: ['speed']
+  },
+  rules: [
+    'If the prompt says “speed up”, “faster”, “fast forward” or “timelapse”, use "change_speed"',
+    'speed is the playback factor: "4x" → 4, "twice as fast" → 2, "timelapse" without a factor → 8 (max 16; values below 1 slow down)',
+    'Leave out start/end/range when the whole clip should change speed',
+    'audio: "mute" when the user wants no sound, "pitch" for chipmunk/tape-style sound; otherwise leave it out (pitch is preserved)'
+  ],
+  examples: [
+    {
+      prompt: 'Speed up 1:00–2:00 4x',
+      actions: [{ action: 'change_speed', start: '00:01:00', end: '00:02:00', speed: 4 }]
+    },
+    {
+      prompt: 'Turn the whole thing into a muted timelapse',
+      actions: [{ action: 'change_speed', speed: 8, audio: 'mute' }]
+    }
+  ],
+  prepare: prepareChangeSpeed
+};
@@ -0,0 +1,37 @@
+// ============================
+// Action: cut_by_text
+// ============================
+import { prepareByText } from '../transcript-store.js';
+import { phraseSchema } from '../transcript.js';
+import cut from './cut.js';
+
+/**
+ * Prepares a cut that keeps the span where the quoted words are said.
+ */
+async function prepareCutByText(inputPath, params) {
+  return prepareByText(cut, inputPath, params);
+}
+
+export default {
+  name: 'cut_by_text',
+  aliases: ['cut_by_transcript'],
+  description: 'keep only the part where the given words are said (uses the transcript)',
+  route: '/api/cut-by-text',
+  runAsJob: true,
+  successMessage: 'Video cut by transcript.',
+  schema: {
+    type: 'object',
+    ...phraseSchema
+  },
+  rules: [
+    'If the prompt quotes spoken words to keep ("cut from \'welcome\' to \'thanks for watching\'"), use "cut_by_text" with "from" and "to" set to the quoted words, or "text" for a single quoted phrase',
+    'Copy quoted words exactly as the user wrote them; they are matched loosely against the transcript'
+  ],
+  examples: [
+    {
+      prompt: 'Cut from \'welcome\' to \'thanks for watching\'',
+      actions: [{ action: 'cut_by_text', from: 'welcome', to: 'thanks for watching' }]
+    }
+  ],
+  prepare: prepareCutByText
+};
@@ -0,0 +1,73 @@
+// ============================
+// Action: cut
+// ============================
+import path from 'path';
+import { cutsDir } from '../paths.js';
+import { createHttpError } from '../errors.js';
+import { probeMedia, runFFmpeg } from '../media.js';
+import { timeRangeSchema, resolveTimeRange, toFFmpegSeconds } from '../time.js';
+
+/**
+ * Prepares a cut that keeps only the segment between start and end.
+ */
+async function prepareCut(inputFilePath, params) {
+  let media;
+  try {
+    media = await probeMedia(inputFilePath);
+  } catch (error) {
+    console.error("ffprobe error:", error);
+    throw createHttpError(500, 'Failed to analyze video duration.');
+  }
+
+  // Frame-aligned seconds; "end" keeps the full duration
+  const range = resolveTimeRange(params, media);
+
+  const outputFilename = `cut-${Date.now()}-${Math.floor(Math.random() * 1e9)}${path.extname(inputFilePath)}`;
+  const outputFilePath = path.join(cutsDir, outputFilename);
+
+  return {
+    run: async (progress) => {
+      // Build FFmpeg cut command
+      await runFFmpeg([
+        '-i', inputFilePath,
+        '-ss', toFFmpegSeconds(range.start, media.fps),
+        '-to', toFFmpegSeconds(range.end, media.fps),
+        '-c:v', 'libx264',
+        '-preset', 'fast',
+        '-crf', '23',
+        '-c:a', 'aac',
+        '-b:a', '192k',
+        '-y', // Overwrite if file exists
+        outputFilePath
+      ], { ...progress, duration: range.end - range.start });
+
+      return { filename: outputFilename, url: `/uploads/cuts/${outputFilename}` };
+    }
+  };
+}
+
+export default {
+  name: 'cut',
+  aliases: ['trim'],
+  description: 'extract only the given segment',
+  route: '/api/cut-video',
+  runAsJob: true,
+  successMessage: 'Video cut successfully.',
+  schema: {
+    type: 'object',
+    properties: {
+      ...timeRangeSchema.properties
+    },
+    anyOf: timeRangeSchema.anyOf
+  },
+  rules: [
+    'If it says “cut”, “clip”, or “extract”, use "cut"'
+  ],
+  examples: [
+    {
+      prompt: 'Cut the last 10 seconds',
+      actions: [{ action: 'cut', start: 'end-00:00:10', end: 'end' }]
+    }
+  ],
+  prepare: prepareCut
+};
@@ -0,0 +1,92 @@
+// ============================
+// Action: export
+// ============================
+import fs from 'fs';
+import path from 'path';
+import { cutsDir, isSafeFilename } from '../paths.js';
+import { createHttpError } from '../errors.js';
+import { getVideoDuration, runFFmpeg } from '../media.js';
+
+/**
+ * Prepares a re-encode into the target container, optionally under a new name.
+ */
+async function prepareExport(inputFilePath, { targetFormat, format, newName }) {
+  // Determine base filename
+  let baseName = `exported-${Date.now()}`;
+  if (newName && typeof newName === 'string') {
+    baseName = newName.replace(/\s+/g, '_');
+  }
+  if (!isSafeFilename(baseName)) {
+    throw createHttpError(400, `Invalid export name: ${newName}`);
+  }
+
+  // Determine export format
+  const requestedFormat = targetFormat || format;
+  const allowedFormats = ['mp4', 'mov', 'avi', 'webm', 'mkv'];
+  let extension = 'mp4';
+  if (requestedFormat && typeof requestedFormat === 'string' && allowedFormats.includes(requestedFormat)) {
+    extension = requestedFormat;
+  }
+
+  const outputFilename = `${baseName}.${extension}`;
+  const outputPath = path.join(cutsDir, outputFilename);
+  // Sessions point at version files, so an existing one is never replaced
+  if (fs.existsSync(outputPath)) {
+    throw createHttpError(409, `'${outputFilename}' already exists.`);
+  }
+
+  let duration;
+  try {
+    duration = await getVideoDuration(inputFilePath);
+  } catch (err) {
+    throw createHttpError(500, 'Could not probe duration.');
+  }
+
+  // FFmpeg arguments
+  const ffmpegArgs = [
+    '-n',
+    '-i', inputFilePath,
+    '-c:v', 'libx264',
+    '-preset', 'fast',
+    '-crf', '23',
+    '-c:a', 'aac',
+    '-b:a', '192k',
+    outputPath
+  ];
+
+  return {
+    run: async (progress) => {
+      console.log("🚀 Spawning FFmpeg with args:", ffmpegArgs.join(' '));
+      try {
+        await runFFmpeg(ffmpegArgs, { ...progress, duration });
+      } catch (err) {
+        console.error('❌ Export failed:', err.message);
+        throw err;
+      }
+
+      console.log('✅ Export finished successfully');
+      return { filename: outputFilename, url: `/uploads/cuts/${outputFilename}` };
+    }
+  };
+}
+
+export default {
+  name: 'export',
+  description: 'export video',
+  route: '/api/export',
+  runAsJob: true,
+  successMessage: 'Export complete.',
+  schema: {
+    type: 'object',
+    properties: {
+      targetFormat: { enum: ['mp4', 'mov', 'avi', 'webm', 'mkv'] },
+      format: { enum: ['mp4', 'mov', 'avi', 'webm', 'mkv'] },
+      newName: { type: 'string', pattern: '^[\\w -]{1,100}$' }
+    }
+  },
+  rules: [
+    'If the user names a container (mp4, mov, avi, webm or mkv) for the export, return it as "format"'
+  ],
+  examples: [],
+  prepare: prepareExport
+};
@@ -0,0 +1,60 @@
+// ============================
+// Action: extract_audio
+// ============================
+import path from 'path';
+import { downloadDir } from '../paths.js';
+import { createHttpError } from '../errors.js';
+import { runFFmpeg } from '../media.js';
+
+/**
+ * Prepares audio extraction to MP3 or WAV in the downloads folder.
+ */
+async function prepareExtractAudio(inputPath, { format }) {
+  let outputFormat = "mp3";
+  if (format && format.toLowerCase() === "wav") {
+    outputFormat = "wav";
+  } else if (format && format.toLowerCase() !== "mp3") {
+    throw createHttpError(400, "Unsupported format");
+  }
+
+  const randomSuffix = `${Date.now()}-${Math.floor(Math.random() * 10000)}`;
+  const outputName = `audio-${randomSuffix}.${outputFormat}`;
+  const outputPath = path.join(downloadDir, outputName);
+
+  const args = [
+    '-nostdin', '-threads', '1',
+    '-i', inputPath,
+    '-vn',
+    '-acodec', outputFormat === "mp3" ? 'libmp3lame' : 'pcm_s16le',
+    outputPath
+  ];
+
+  return {
+    run: async (progress) => {
+      await runFFmpeg(args, { ...progress });
+      return { filename: outputName, url: "/downloads/" + outputName };
+    }
+  };
+}
+
+export default {
+  name: 'extract_audio',
+  description: 'extract audio as .mp3 or .wav',
+  route: '/api/extract-audio',
+  runAsJob: false,
+  producesVideo: false,
+  successMessage: 'Audio extracted.',
+  schema: {
+    type: 'object',
+    properties: {
+      format: { enum: ['mp3', 'wav'] }
+    }
+  },
+  rules: [
+    'If the prompt includes "extract audio" or "convert to mp3/wav", use "extract_audio"',
+    'Default format is "mp3" unless user says "wav"',
+    'Return: { "action": "extract_audio", "format": "mp3" }'
+  ],
+  examples: [],
+  prepare: prepareExtractAudio
+};
@@ -0,0 +1,81 @@
+// ============================
+// Action: extract_frame
+// ============================
+import { createHttpError } from '../errors.js';
+import { probeMedia, runFFmpeg } from '../media.js';
+import { resolveTime, snapToFrame, toFFmpegSeconds } from '../time.js';
+import { IMAGE_FORMATS, stillTextSchema, stillSize, stillOutput, imageEncodeArgs, buildStillTextFilter } from '../stills.js';
+
+/**
+ * Prepares grabbing the frame shown at `time` as a PNG or JPEG, optionally
+ * scaled to `width` and with a text overlay.
+ */
+async function prepareExtractFrame(inputPath, { time, format = 'png', width, overlay }) {
+  let media;
+  try {
+    media = await probeMedia(inputPath);
+  } catch (err) {
+    throw createHttpError(500, 'Could not probe video.');
+  }
+  if (!media.hasVideo) {
+    throw createHttpError(400, 'The file has no video stream to take a frame from.');
+  }
+
+  const seconds = resolveTime(time, media);
+  if (Number.isNaN(seconds) || seconds > media.duration) {
+    throw createHttpError(400, `Invalid time '${time}'. The video is ${media.duration.toFixed(2)} seconds long.`);
+  }
+  // "end" means the last frame, which starts one frame before the duration
+  const frameLength = 1 / (media.fps || 30);
+  const at = snapToFrame(Math.max(0, Math.min(seconds, media.duration - frameLength)), media.fps);
+
+  const size = stillSize(media, width);
+  const filters = [`scale=${size.width}:${size.height}`];
+  if (overlay) filters.push(buildStillTextFilter(overlay, size.height));
+  const output = stillOutput('frame', format);
+
+  return {
+    run: async (progress) => {
+      await runFFmpeg([
+        '-nostdin', '-threads', '1',
+        '-ss', toFFmpegSeconds(at, media.fps), '-i', inputPath,
+        '-vf', filters.join(','),
+        ...imageEncodeArgs(format),
+        '-y', output.filePath
+      ], { ...progress });
+
+      return { filename: output.filename, url: output.url, time: at, width: size.width, height: size.height };
+    }
+  };
+}
+
+export default {
+  name: 'extract_frame',
+  aliases: ['frame_grab', 'screenshot'],
+  description: 'save the frame at a given time as a PNG or JPEG image',
+  route: '/api/extract-frame',
+  runAsJob: false,
+  producesVideo: false,
+  successMessage: 'Frame extracted.',
+  schema: {
+    type: 'object',
+    properties: {
+      time: { type: 'string', format: 'time-expression' },
+      format: { enum: IMAGE_FORMATS },
+      width: { type: 'integer', minimum: 16, maximum: 7680 },
+      overlay: stillTextSchema
+    },
+    required: ['time']
+  },
+  rules: [
+    'If the prompt asks for a frame, still, screenshot or frame grab at a time, use "extract_frame" with "time" in the usual time format ("end" is the last frame)',
+    'format is "png" (default) or "jpg"; width scales the image keeping its aspect ratio; overlay draws text on it like one add_overlay entry without timing'
+  ],
+  examples: [
+    {
+      prompt: 'Grab a JPEG of the frame at 1:05',
+      actions: [{ action: 'extract_frame', time: '00:01:05', format: 'jpg' }]
+    }
+  ],
+  prepare: prepareExtractFrame
+};
@@ -0,0 +1,159 @@
+// ============================
+// Action Registry
+// ============================
+// Every editing action lives in its own module in this folder and declares:
+//   name, aliases, description – how the LLM and clients refer to it
+//   schema                     – JSON schema for its parameters
+//   rules, examples            – lines generated into the parse-prompt system prompt
+//   route, runAsJob            – where its Express route is mounted and whether it is queued
+//   multiInput                 – (optional) the route may take its input as files[0] instead of filename
+//   prepare(inputPath, params) – validates and returns { run(progress) }
+// History actions (undo/redo) declare `history` instead of `prepare`.
+// Every action that produces a video also accepts an `audio_cleanup` object
+// (see lib/audio.js), applied to its output by prepareAction.
+// Adding an action means adding a module and listing it below.
+import Ajv from 'ajv';
+import { isTimeExpression, isRangeExpression } from '../time.js';
+import { progressSlice } from '../media.js';
+import { getVideoPath } from '../paths.js';
+import { audioCleanupSchema, applyAudioCleanup } from '../audio.js';
+import cut from './cut.js';
+import removeSegment from './remove-segment.js';
+import addSubtitles from './add-subtitles.js';
+import exportVideo from './export.js';
+import undo from './undo.js';
+import redo from './redo.js';
+import addOverlay from './add-overlay.js';
+import extractAudio from './extract-audio.js';
+import slowMotion from './slow-motion.js';
+import changeSpeed from './change-speed.js';
+import reframe from './reframe.js';
+import merge from './merge.js';
+import addImageOverlay from './add-image-overlay.js';
+import addMusic from './add-music.js';
+import audioCleanup from './audio-cleanup.js';
+import removeSilence from './remove-silence.js';
+import cutByText from './cut-by-text.js';
+import removeByText from './remove-by-text.js';
+import applyTemplate from './apply-template.js';
+import extractFrame from './extract-frame.js';
+import thumbnail from './thumbnail.js';
+import storyboard from './storyboard.js';
+
+const actions = [
+  cut, removeSegment, addSubtitles, exportVideo,
+  undo, redo, addOverlay, extractAudio, slowMotion, changeSpeed, reframe, merge,
+  addImageOverlay, addMusic, audioCleanup, removeSilence, cutByText, removeByText,
+  applyTemplate, extractFrame, thumbnail, storyboard
+];
+
+const ajv = new Ajv({ allErrors: true, coerceTypes: true });
+ajv.addFormat('time-expression', isTimeExpression);
+ajv.addFormat('range-expression', isRangeExpression);
+
+/**
+ * Returns true when the action's output can take the shared `audio_cleanup` post-pass.
+ */
+function acceptsAudioCleanup(action) {
+  return Boolean(action.prepare) && action.producesVideo !== false && action !== audioCleanup;
+}
+
+/**
+ * Returns the action's schema, extended with `audio_cleanup` where it applies.
+ */
+function fullSchema(action) {
+  if (!acceptsAudioCleanup(action)) return action.schema;
+  return { ...action.schema, properties: { ...action.schema.properties, audio_cleanup: audioCleanupSchema } };
+}
+
+// Routes accept extra body fields; LLM output is held to the exact schema.
+const validators = new Map(actions.map(action => [action.name, {
+  lenient: ajv.compile(fullSchema(action)),
+  strict: ajv.compile({ ...fullSchema(action), additionalProperties: false })
+}]));
+
+const actionsByName = new Map();
+for (const action of actions) {
+  actionsByName.set(action.name, action);
+  (action.aliases || []).forEach(alias => actionsByName.set(alias, action));
+}
+
+/**
+ * Returns the action registered under a name or alias, or null.
+ */
+function getAction(name) {
+  return actionsByName.get(name) || null;
+}
+
+/**
+ * Returns every registered action in prompt order.
+ */
+function listActions() {
+  return actions;
+}
+
+/**
+ * Returns every accepted action name, aliases included.
+ */
+function listActionNames() {
+  return [...actionsByName.keys()];
+}
+
+/**
+ * Validates parameters against the action's schema. With `strict`, fields the
+ * schema does not declare are rejected too.
+ * Returns a list of { field, message } errors, empty when the parameters are valid.
+ */
+function validateActionParams(action, params, { strict = false } = {}) {
+  const validate = validators.get(action.name)[strict ? 'strict' : 'lenient'];
+  if (validate(params)) return [];
+
+  // The anyOf error already says which field combinations are accepted; skip its per-branch details
+  return validate.errors.filter(err => !err.schemaPath.startsWith('#/anyOf/')).map(err => ({
+    field: err.params.missingProperty || err.params.additionalProperty || err.instancePath.replace(/^\//, ''),
+    message: describeSchemaError(err, action.schema)
+  }));
+}
+
+/**
+ * Calls the action's prepare. When `audio_cleanup` is given, the returned run
+ * spends the last fifth of its progress cleaning up the output's audio.
+ */
+async function prepareAction(action, inputPath, params) {
+  const operation = await action.prepare(inputPath, params);
+  if (!params.audio_cleanup || !acceptsAudioCleanup(action)) return operation;
+
+  return {
+    run: async (progress = {}) => {
+      const output = await operation.run(progressSlice(progress, 0, 80));
+      await applyAudioCleanup(getVideoPath(output.filename), params.audio_cleanup, progressSlice(progress, 80, 100));
+      return output;
+    }
+  };
+}
+
+/**
+ * Turns an Ajv error into a message the client (or the LLM) can act on.
+ */
+function describeSchemaError(err, schema) {
+  if (err.keyword === 'format' && err.params.format === 'time-expression') {
+    return 'must be HH:MM:SS[.mmm], seconds, f:<frame>, a percentage, "start", "beginning", "end", "start+<time>", "end-<time>" or "+<duration>"';
+  }
+  if (err.keyword === 'format' && err.params.format === 'range-expression') {
+    return 'must be a named range such as "first 30%", "last minute", "middle third" or "second half"';
+  }
+  if (err.keyword === 'anyOf' && err.schemaPath === '#/anyOf') {
+    // e.g. 'needs "start" and "end", or "range"'
+    const options = schema.anyOf.map(branch => branch.required.map(field => `"${field}"`).join(' and '));
+    return `needs ${options.join(', or ')}`;
+  }
+  if (err.keyword === 'enum') {
+    return `must be one of: ${err.params.allowedValues.join(', ')}`;
+  }
+  if (err.keyword === 'additionalProperties') {
+    return 'is not a parameter of this action';
+  }
+  return err.message;
+}
+
+export { getAction, listActions, listActionNames, validateActionParams, prepareAction };
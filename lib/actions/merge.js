@@ -0,0 +1,61 @@
+// ============================
+// Action: merge
+// ============================
+import { isSafeFilename, getVideoPath } from '../paths.js';
+import { createHttpError } from '../errors.js';
+import { TRANSITIONS, prepareJoin } from '../join.js';
+
+/**
+ * Prepares joining the input with the clips listed in `files`, in order.
+ * Every clip is scaled and padded to the first clip's size and frame rate.
+ */
+async function prepareMerge(inputPath, { files, transition = 'none', duration = 1 }) {
+  if (!Array.isArray(files) || files.length === 0) {
+    throw createHttpError(400, 'Provide at least one more file to merge.');
+  }
+
+  const paths = [inputPath];
+  for (const file of files) {
+    if (!isSafeFilename(file)) {
+      throw createHttpError(400, `Invalid filename: ${file}`);
+    }
+    const clipPath = getVideoPath(file);
+    if (!clipPath) {
+      throw createHttpError(404, `Video file not found: ${file}`);
+    }
+    paths.push(clipPath);
+  }
+
+  return prepareJoin(paths, { transition, duration });
+}
+
+export default {
+  name: 'merge',
+  aliases: ['join', 'concat'],
+  description: 'join the current video with other uploaded clips, optionally with transitions',
+  route: '/api/merge',
+  runAsJob: true,
+  multiInput: true,
+  successMessage: 'Clips merged.',
+  schema: {
+    type: 'object',
+    properties: {
+      files: { type: 'array', items: { type: 'string', minLength: 1 }, minItems: 1 },
+      transition: { enum: ['none', ...Object.keys(TRANSITIONS)] },
+      duration: { type: 'number', exclusiveMinimum: 0, maximum: 5 }
+    },
+    required: ['files']
+  },
+  rules: [
+    'If the prompt says “join”, “merge”, “combine” or “append” clips, use "merge"',
+    '"files" lists the other clips (filenames exactly as the user wrote them) in the order they follow the current video',
+    'transition: "fade" for a crossfade or fade, "dissolve", "wipe"; leave it out for a hard cut. "duration" is the transition length in seconds (default 1)'
+  ],
+  examples: [
+    {
+      prompt: 'Join this with intro.mp4 and outro.mp4 with a 0.5 second crossfade',
+      actions: [{ action: 'merge', files: ['intro.mp4', 'outro.mp4'], transition: 'fade', duration: 0.5 }]
+    }
+  ],
+  prepare: prepareMerge
+};
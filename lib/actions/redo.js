@@ -0,0 +1,19 @@
+// ============================
+// Action: redo
+// ============================
+// History actions have no executor: they move the session cursor instead
+// (see POST /api/sessions/:id/redo and /api/execute).
+
+export default {
+  name: 'redo',
+  description: 'redo the last undone edit',
+  history: 1,
+  schema: {
+    type: 'object',
+    properties: {}
+  },
+  rules: [
+    'If the user says redo or do again, return { "action": "redo" }'
+  ],
+  examples: []
+};
@@ -0,0 +1,162 @@
+// ============================
+// Action: reframe
+// ============================
+import path from 'path';
+import { cutsDir } from '../paths.js';
+import { createHttpError } from '../errors.js';
+import { probeMedia, runFFmpeg, even } from '../media.js';
+
+const ASPECT_RATIOS = { '16:9': 16 / 9, '9:16': 9 / 16, '1:1': 1, '4:5': 4 / 5 };
+const MAX_DIMENSION = 4096;
+
+/**
+ * Works out the output size: explicit width and height win, one of them is
+ * completed from the aspect ratio, and otherwise the size follows the source
+ * (cropped for "crop", enclosed for the pad modes).
+ */
+function resolveOutputSize({ width, height, aspect, mode }, sourceWidth, sourceHeight) {
+  if (width && height) return { width: even(width), height: even(height) };
+
+  const ratio = aspect ? ASPECT_RATIOS[aspect] : sourceWidth / sourceHeight;
+  if (width) return { width: even(width), height: even(width / ratio) };
+  if (height) return { width: even(height * ratio), height: even(height) };
+
+  const sourceIsWider = sourceWidth / sourceHeight > ratio;
+  if (mode === 'crop') {
+    return sourceIsWider
+      ? { width: even(sourceHeight * ratio), height: even(sourceHeight) }
+      : { width: even(sourceWidth), height: even(sourceWidth / ratio) };
+  }
+  return sourceIsWider
+    ? { width: even(sourceWidth), height: even(sourceWidth / ratio) }
+    : { width: even(sourceHeight * ratio), height: even(sourceHeight) };
+}
+
+/**
+ * Builds the video filter graph from [0:v] to [v] for the chosen mode.
+ */
+function buildReframeFilter({ crop, mode }, source, output) {
+  const pre = crop ? [`crop=${crop.width}:${crop.height}:${crop.x}:${crop.y}`] : [];
+
+  // Source scaled to cover the frame (then cropped) or to fit inside it (then padded)
+  const coverScale = Math.max(output.width / source.width, output.height / source.height);
+  const fitScale = Math.min(output.width / source.width, output.height / source.height);
+  const cover = `scale=${even(source.width * coverScale)}:${even(source.height * coverScale)},crop=${output.width}:${output.height}`;
+  const fit = `scale=${even(source.width * fitScale)}:${even(source.height * fitScale)}`;
+
+  if (mode === 'letterbox') {
+    return `[0:v]${[...pre, fit, `pad=${output.width}:${output.height}:(ow-iw)/2:(oh-ih)/2:color=black`, 'setsar=1'].join(',')}[v]`;
+  }
+
+  if (mode === 'blur') {
+    return [
+      `[0:v]${[...pre, 'split'].join(',')}[bg][fg]`,
+      `[bg]${cover},boxblur=20:5[blurred]`,
+      `[fg]${fit}[front]`,
+      '[blurred][front]overlay=(W-w)/2:(H-h)/2,setsar=1[v]'
+    ].join(';');
+  }
+
+  return `[0:v]${[...pre, cover, 'setsar=1'].join(',')}[v]`;
+}
+
+/**
+ * Prepares a crop / resize / aspect-ratio change.
+ */
+async function prepareReframe(inputPath, params) {
+  const mode = params.mode || 'crop';
+  const { aspect, crop } = params;
+  const width = params.width ? Number(params.width) : null;
+  const height = params.height ? Number(params.height) : null;
+
+  if (aspect && !ASPECT_RATIOS[aspect]) {
+    throw createHttpError(400, `Unsupported aspect ratio. Use one of: ${Object.keys(ASPECT_RATIOS).join(', ')}.`);
+  }
+
+  let media;
+  try {
+    media = await probeMedia(inputPath);
+  } catch (err) {
+    throw createHttpError(500, 'Could not probe video.');
+  }
+  if (!media.hasVideo) {
+    throw createHttpError(400, 'The file has no video stream to reframe.');
+  }
+
+  if (crop && (crop.x + crop.width > media.width || crop.y + crop.height > media.height)) {
+    throw createHttpError(400, `Crop rectangle falls outside the ${media.width}x${media.height} frame.`);
+  }
+
+  const source = crop ? { width: crop.width, height: crop.height } : { width: media.width, height: media.height };
+  const output = resolveOutputSize({ width, height, aspect, mode }, source.width, source.height);
+  if (output.width > MAX_DIMENSION || output.height > MAX_DIMENSION) {
+    throw createHttpError(400, `Output size ${output.width}x${output.height} exceeds ${MAX_DIMENSION}px.`);
+  }
+
+  const filter = buildReframeFilter({ crop, mode }, source, output);
+  const uid = `${Date.now()}-${Math.round(Math.random() * 1e6)}`;
+  const outputFilename = `reframed-${uid}${path.extname(inputPath)}`;
+  const outputPath = path.join(cutsDir, outputFilename);
+
+  return {
+    run: async (progress) => {
+      await runFFmpeg([
+        '-nostdin', '-threads', '1',
+        '-i', inputPath,
+        '-filter_complex', filter,
+        '-map', '[v]', '-map', '0:a?',
+        '-c:v', 'libx264', '-preset', 'fast', '-crf', '23',
+        '-c:a', 'copy', '-y', outputPath
+      ], { ...progress, duration: media.duration });
+
+      return { filename: outputFilename, url: `/uploads/cuts/${outputFilename}`, width: output.width, height: output.height };
+    }
+  };
+}
+
+export default {
+  name: 'reframe',
+  aliases: ['crop', 'resize'],
+  description: 'change the aspect ratio, crop or resize the video',
+  route: '/api/reframe',
+  runAsJob: true,
+  successMessage: 'Video reframed.',
+  schema: {
+    type: 'object',
+    properties: {
+      aspect: { enum: Object.keys(ASPECT_RATIOS) },
+      mode: { enum: ['crop', 'letterbox', 'blur'] },
+      crop: {
+        type: 'object',
+        properties: {
+          x: { type: 'integer', minimum: 0 },
+          y: { type: 'integer', minimum: 0 },
+          width: { type: 'integer', minimum: 2 },
+          height: { type: 'integer', minimum: 2 }
+        },
+        required: ['x', 'y', 'width', 'height'],
+        additionalProperties: false
+      },
+      width: { type: 'integer', minimum: 2, maximum: MAX_DIMENSION },
+      height: { type: 'integer', minimum: 2, maximum: MAX_DIMENSION }
+    },
+    anyOf: [{ required: ['aspect'] }, { required: ['crop'] }, { required: ['width'] }, { required: ['height'] }]
+  },
+  rules: [
+    'If the prompt asks for vertical, portrait, TikTok, Reels, Shorts or Stories, use "reframe" with "aspect": "9:16"',
+    'Square or Instagram post → "aspect": "1:1"; Instagram portrait → "4:5"; horizontal, landscape or YouTube → "16:9"',
+    'mode: "crop" fills the frame (default), "letterbox" adds black bars, "blur" pads with a blurred copy of the video',
+    'For an explicit crop return "crop": { "x", "y", "width", "height" } in pixels; for a target resolution return "width" and/or "height"'
+  ],
+  examples: [
+    {
+      prompt: 'Make this vertical for TikTok',
+      actions: [{ action: 'reframe', aspect: '9:16' }]
+    },
+    {
+      prompt: 'Make it square with a blurred background at 1080x1080',
+      actions: [{ action: 'reframe', aspect: '1:1', mode: 'blur', width: 1080, height: 1080 }]
+    }
+  ],
+  prepare: prepareReframe
+};
@@ -0,0 +1,36 @@
+// ============================
+// Action: remove_by_text
+// ============================
+import { prepareByText } from '../transcript-store.js';
+import { phraseSchema } from '../transcript.js';
+import removeSegment from './remove-segment.js';
+
+/**
+ * Prepares the removal of the span where the quoted words are said.
+ */
+async function prepareRemoveByText(inputPath, params) {
+  return prepareByText(removeSegment, inputPath, params);
+}
+
+export default {
+  name: 'remove_by_text',
+  aliases: ['remove_by_transcript'],
+  description: 'delete the part where the given words are said (uses the transcript)',
+  route: '/api/remove-by-text',
+  runAsJob: true,
+  successMessage: 'Segment removed by transcript.',
+  schema: {
+    type: 'object',
+    ...phraseSchema
+  },
+  rules: [
+    'If the prompt says to remove or delete the part where someone says quoted words, use "remove_by_text" with "text" set to the quoted words (or "from"/"to" for a span between two quotes)'
+  ],
+  examples: [
+    {
+      prompt: 'Remove the part where I say \'sorry, let me start again\'',
+      actions: [{ action: 'remove_by_text', text: 'sorry, let me start again' }]
+    }
+  ],
+  prepare: prepareRemoveByText
+};
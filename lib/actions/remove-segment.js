@@ -0,0 +1,85 @@
+// ============================
+// Action: remove_segment
+// ============================
+import path from 'path';
+import { cutsDir } from '../paths.js';
+import { createHttpError } from '../errors.js';
+import { probeMedia, buildSegmentsFilter, runFFmpeg } from '../media.js';
+import { timeRangeSchema, resolveTimeRange } from '../time.js';
+
+/**
+ * Prepares the removal of the segment between start and end.
+ */
+async function prepareRemoveSegment(inputFilePath, params) {
+  let media;
+  try {
+    media = await probeMedia(inputFilePath);
+  } catch (err) {
+    throw createHttpError(500, 'Could not probe duration.');
+  }
+  const durationSec = media.duration;
+
+  // Frame-aligned seconds; "end" keeps the full duration
+  const { start: startSec, end: endSec } = resolveTimeRange(params, media);
+
+  // Keep what lies before and after the removed range
+  const segments = [];
+  if (startSec > 0) segments.push({ start: 0, end: startSec });
+  if (endSec < durationSec) segments.push({ start: endSec });
+  if (segments.length === 0) {
+    throw createHttpError(400, 'Nothing left to keep. Aborting.');
+  }
+
+  const uid = `${Date.now()}-${Math.floor(Math.random() * 1e6)}`;
+  const finalName = `removed-${uid}${path.extname(inputFilePath)}`;
+  const finalPath = path.join(cutsDir, finalName);
+  const keptLen = startSec + Math.max(0, durationSec - endSec);
+
+  return {
+    run: async (progress) => {
+      // Trim and join in one encode so both cuts land on exact frames (the input is kept so the edit can be undone)
+      try {
+        await runFFmpeg([
+          '-y', '-i', inputFilePath,
+          ...buildSegmentsFilter(segments, media),
+          '-c:v', 'libx264', '-preset', 'fast', '-c:a', 'aac',
+          finalPath
+        ], { ...progress, duration: keptLen });
+      } catch (err) {
+        console.error("❌ Segment removal error:", err);
+        throw err;
+      }
+
+      return { filename: finalName, url: `/uploads/cuts/${finalName}` };
+    }
+  };
+}
+
+export default {
+  name: 'remove_segment',
+  description: 'delete the given segment',
+  route: '/api/remove-segment',
+  runAsJob: true,
+  successMessage: 'Segment removed successfully.',
+  schema: {
+    type: 'object',
+    properties: {
+      ...timeRangeSchema.properties
+    },
+    anyOf: timeRangeSchema.anyOf
+  },
+  rules: [
+    'If the prompt says “remove” or “delete”, use "remove_segment"'
+  ],
+  examples: [
+    {
+      prompt: 'Remove the last 5 seconds',
+      actions: [{ action: 'remove_segment', start: 'end-00:00:05', end: 'end' }]
+    },
+    {
+      prompt: 'Trim the first 10 seconds',
+      actions: [{ action: 'remove_segment', start: '00:00:00', end: '00:00:10' }]
+    }
+  ],
+  prepare: prepareRemoveSegment
+};
@@ -0,0 +1,162 @@
+// ============================
+// Action: remove_silence
+// ============================
+import path from 'path';
+import fs from 'fs';
+import { getTranscriptionProvider } from '../providers/index.js';
+import { cutsDir } from '../paths.js';
+import { createHttpError } from '../errors.js';
+import { probeMedia, detectSilence, buildSegmentsFilter, progressSlice, runFFmpeg } from '../media.js';
+import { snapToFrame } from '../time.js';
+import { FILLER_WORDS, extractSpeechAudio, isFillerWord, normalizeWord } from '../transcript.js';
+
+/**
+ * Sorts spans and merges the ones that overlap or touch.
+ */
+function mergeSpans(spans) {
+  const merged = [];
+  for (const span of [...spans].sort((a, b) => a.start - b.start)) {
+    const last = merged[merged.length - 1];
+    if (last && span.start <= last.end) {
+      last.end = Math.max(last.end, span.end);
+    } else {
+      merged.push({ ...span });
+    }
+  }
+  return merged;
+}
+
+/**
+ * Returns the frame-aligned parts of [0, duration] that no removed span covers,
+ * as buildSegmentsFilter segments (the last one open-ended when it reaches the end).
+ */
+function keptSegments(removed, { duration, fps }) {
+  const segments = [];
+  let cursor = 0;
+  for (const span of removed) {
+    segments.push({ start: cursor, end: span.start });
+    cursor = span.end;
+  }
+  segments.push({ start: cursor, end: duration });
+
+  const minLength = fps > 0 ? 1 / fps : 0.01;
+  return segments
+    .map(({ start, end }) => ({ start: snapToFrame(start, fps), end: end >= duration ? duration : snapToFrame(end, fps) }))
+    .filter(({ start, end }) => end - start >= minLength)
+    .map(({ start, end }) => (end >= duration ? { start } : { start, end }));
+}
+
+/**
+ * Prepares a jump cut: every silence (shrunk by `padding` on each side so speech
+ * is not clipped) and, optionally, every filler word is removed in one encode.
+ */
+async function prepareRemoveSilence(inputPath, params) {
+  const threshold = params.threshold === undefined ? -35 : Number(params.threshold);
+  const minSilence = params.min_silence === undefined ? 0.5 : Number(params.min_silence);
+  const padding = params.padding === undefined ? 0.15 : Number(params.padding);
+  const fillerWords = (params.filler_words || FILLER_WORDS).map(normalizeWord);
+
+  let media;
+  try {
+    media = await probeMedia(inputPath);
+  } catch (err) {
+    throw createHttpError(500, 'Could not probe video.');
+  }
+  if (!media.hasAudio) {
+    throw createHttpError(400, 'The file has no audio to detect silence in.');
+  }
+
+  const transcriber = params.fillers ? getTranscriptionProvider() : null;
+  if (params.fillers && !transcriber) {
+    throw createHttpError(503, 'Removing filler words needs a transcription provider (set TRANSCRIBE_PROVIDER or OPENAI_API_KEY).');
+  }
+
+  const uid = `${Date.now()}-${Math.round(Math.random() * 1e6)}`;
+  const outputFilename = `jumpcut-${uid}${path.extname(inputPath)}`;
+  const outputPath = path.join(cutsDir, outputFilename);
+
+  return {
+    run: async (progress = {}) => {
+      const analysisEnd = transcriber ? 40 : 25;
+      const silences = await detectSilence(inputPath, {
+        noise: threshold,
+        minDuration: minSilence,
+        duration: media.duration,
+        ...progressSlice(progress, 0, 25)
+      });
+
+      // Silences at the very start or end have no speech to protect on that side
+      const removed = silences.map(({ start, end }) => ({
+        start: start <= 0 ? 0 : start + padding,
+        end: end >= media.duration ? media.duration : end - padding
+      }));
+
+      if (transcriber) {
+        const audioPath = await extractSpeechAudio(inputPath, { ...progressSlice(progress, 25, 35), duration: media.duration });
+        try {
+          const words = await transcriber.transcribeWords(audioPath);
+          removed.push(...words.filter(({ word }) => isFillerWord(word, fillerWords)).map(({ start, end }) => ({ start, end })));
+        } finally {
+          fs.rmSync(audioPath, { force: true });
+        }
+      }
+
+      const spans = mergeSpans(removed.filter(({ start, end }) => end > start));
+      const segments = keptSegments(spans, media);
+      if (segments.length === 0) {
+        throw createHttpError(400, 'The whole video is silent. Nothing left to keep.');
+      }
+
+      const keptLen = segments.reduce((sum, { start, end = media.duration }) => sum + (end - start), 0);
+      await runFFmpeg([
+        '-nostdin', '-threads', '1',
+        '-i', inputPath,
+        ...buildSegmentsFilter(segments, media),
+        '-c:v', 'libx264', '-preset', 'fast', '-crf', '23', '-c:a', 'aac',
+        '-y', outputPath
+      ], { ...progressSlice(progress, analysisEnd, 100), duration: keptLen });
+
+      return {
+        filename: outputFilename,
+        url: `/uploads/cuts/${outputFilename}`,
+        removed: spans.length,
+        removedSeconds: Number((media.duration - keptLen).toFixed(3))
+      };
+    }
+  };
+}
+
+export default {
+  name: 'remove_silence',
+  aliases: ['jump_cut', 'remove_pauses'],
+  description: 'cut out pauses (and optionally filler words such as "um" and "uh") in one pass',
+  route: '/api/remove-silence',
+  runAsJob: true,
+  successMessage: 'Silence removed.',
+  schema: {
+    type: 'object',
+    properties: {
+      threshold: { type: 'number', minimum: -90, maximum: -10 },
+      min_silence: { type: 'number', minimum: 0.05, maximum: 10 },
+      padding: { type: 'number', minimum: 0, maximum: 2 },
+      fillers: { type: 'boolean' },
+      filler_words: { type: 'array', items: { type: 'string', minLength: 1 }, minItems: 1 }
+    }
+  },
+  rules: [
+    'If the prompt asks to remove pauses, silence or dead air, or to make a jump cut, use "remove_silence"',
+    'threshold is the silence level in dB (default -35; higher such as -25 for noisy recordings); min_silence is the shortest pause to cut in seconds (default 0.5); padding is the seconds kept around speech (default 0.15)',
+    'fillers: true when the user also wants "um", "uh" and similar filler words removed; list custom ones in "filler_words"'
+  ],
+  examples: [
+    {
+      prompt: 'Remove the pauses and the ums',
+      actions: [{ action: 'remove_silence', fillers: true }]
+    },
+    {
+      prompt: 'Cut every silence longer than a second',
+      actions: [{ action: 'remove_silence', min_silence: 1 }]
+    }
+  ],
+  prepare: prepareRemoveSilence
+};
@@ -0,0 +1,113 @@
+// ============================
+// Action: slow_motion
+// ============================
+import path from 'path';
+import { cutsDir } from '../paths.js';
+import { createHttpError } from '../errors.js';
+import { MIN_SPEED, MAX_SPEED, probeMedia, buildSegmentsFilter, runFFmpeg } from '../media.js';
+import { timeRangeSchema, resolveTimeRange } from '../time.js';
+
+/**
+ * Prepares slow motion for the segment between start and end.
+ */
+async function prepareSlowMotion(inputPath, params) {
+  const { speed } = params;
+  if (!speed) {
+    throw createHttpError(400, 'Missing speed.');
+  }
+
+  // Get duration and frame rate
+  let media;
+  try {
+    media = await probeMedia(inputPath);
+  } catch (err) {
+    throw createHttpError(500, 'Could not probe duration.');
+  }
+  const fullDur = media.duration;
+
+  // Frame-aligned seconds; "end" keeps the full duration
+  const { start: sSec, end: eSec } = resolveTimeRange(params, media);
+
+  // Parse and validate speed
+  const sp = parseFloat(speed);
+  if (isNaN(sp) || sp < MIN_SPEED || sp > MAX_SPEED) {
+    throw createHttpError(400, `Speed must be between ${MIN_SPEED} and ${MAX_SPEED}.`);
+  }
+
+  // Normal speed before and after the range, slowed inside it
+  const segments = [];
+  if (sSec > 0) segments.push({ start: 0, end: sSec });
+  segments.push({ start: sSec, end: eSec < fullDur ? eSec : null, speed: sp });
+  if (eSec < fullDur) segments.push({ start: eSec });
+
+  const totalLen = sSec + ((eSec - sSec) / sp) + (fullDur - eSec);
+  const uid = `${Date.now()}-${Math.round(Math.random() * 1e6)}`;
+  const outputFilename = `slowmo-${uid}${path.extname(inputPath)}`;
+  const outputFinal = path.join(cutsDir, outputFilename);
+
+  return {
+    run: async (progress) => {
+      // Trim, retime and join in one encode so the slowed range starts and ends on exact frames
+      try {
+        await runFFmpeg([
+          '-nostdin', '-threads', '1',
+          '-i', inputPath,
+          ...buildSegmentsFilter(segments, media),
+          '-c:v', 'libx264', '-preset', 'fast', '-crf', '23',
+          '-c:a', 'aac', outputFinal
+        ], { ...progress, duration: totalLen });
+      } catch (err) {
+        console.error('💥 Slow-motion failed:', err);
+        throw err;
+      }
+
+      return { filename: outputFilename, url: `/uploads/cuts/${outputFilename}` };
+    }
+  };
+}
+
+export default {
+  name: 'slow_motion',
+  description: 'apply slow motion to a part of the video',
+  route: '/api/slow-motion',
+  runAsJob: true,
+  successMessage: 'Slow motion applied.',
+  schema: {
+    type: 'object',
+    properties: {
+      ...timeRangeSchema.properties,
+      speed: { type: 'number', minimum: MIN_SPEED, maximum: MAX_SPEED }
+    },
+    required: ['speed'],
+    anyOf: timeRangeSchema.anyOf
+  },
+  rules: [
+    'If the prompt says “slow motion” or “slow down”, use "slow_motion"',
+    'Default speed = 0.5 unless otherwise specified',
+    'If the user says "slow down the whole video" or "make entire video slower", use "start": "start" and "end": "end"',
+    'If a speed like "25% speed" or "make it 2x slower" is mentioned, calculate the speed: "2x slower" → 0.5, "half speed" → 0.5, "quarter speed" → 0.25, "75% speed" → 0.75'
+  ],
+  examples: [
+    {
+      prompt: 'Slow motion from 3:00 to 3:30',
+      actions: [{ action: 'slow_motion', start: '00:03:00', end: '00:03:30', speed: 0.5 }]
+    },
+    {
+      prompt: 'Add slow motion from the beginning to 0:30',
+      actions: [{ action: 'slow_motion', start: 'start', end: '00:00:30', speed: 0.5 }]
+    },
+    {
+      prompt: 'Apply slow motion from 0:40 till the end',
+      actions: [{ action: 'slow_motion', start: '00:00:40', end: 'end', speed: 0.5 }]
+    },
+    {
+      prompt: 'Make 1:10 to 1:20 2x slower',
+      actions: [{ action: 'slow_motion', start: '00:01:10', end: '00:01:20', speed: 0.5 }]
+    },
+    {
+      prompt: 'Slow down clip from 2:00 to 2:30 to 25% speed',
+      actions: [{ action: 'slow_motion', start: '00:02:00', end: '00:02:30', speed: 0.25 }]
+    }
+  ],
+  prepare: prepareSlowMotion
+};
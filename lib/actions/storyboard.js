@@ -0,0 +1,115 @@
+// ============================
+// Action: storyboard
+// ============================
+import fs from 'fs';
+import path from 'path';
+import { createHttpError } from '../errors.js';
+import { probeMedia, runFFmpeg } from '../media.js';
+import { resolveTimeRange, toFFmpegSeconds } from '../time.js';
+import { formatVtt } from '../subtitles.js';
+import { IMAGE_FORMATS, stillSize, stillOutput, imageEncodeArgs } from '../stills.js';
+
+// Without an interval the frames are spread so the sheet holds about this many tiles
+const DEFAULT_TILES = 100;
+const MAX_TILES = 400;
+
+/**
+ * Prepares a storyboard: one frame every `interval` seconds, tiled into a
+ * single sprite image (a contact sheet), plus a WebVTT index whose cues point
+ * at each tile with a "#xywh=" fragment, the format players use for scrubbing
+ * previews.
+ */
+async function prepareStoryboard(inputPath, { start, end, range, interval, columns = 10, tile_width: tileWidth = 160, format = 'jpg' }) {
+  let media;
+  try {
+    media = await probeMedia(inputPath);
+  } catch (err) {
+    throw createHttpError(500, 'Could not probe video.');
+  }
+  if (!media.hasVideo) {
+    throw createHttpError(400, 'The file has no video stream to make a storyboard from.');
+  }
+
+  const window = resolveTimeRange({ start: start || 'start', end: end || 'end', range }, media);
+  const length = window.end - window.start;
+  if (length <= 0) {
+    throw createHttpError(400, 'The window is empty; pick an end after the start to make a storyboard from.');
+  }
+  const step = interval || Math.max(1, Math.ceil(length / DEFAULT_TILES));
+  const count = Math.ceil(length / step);
+  if (count > MAX_TILES) {
+    throw createHttpError(400, `A storyboard holds at most ${MAX_TILES} frames; use an interval of at least ${Math.ceil(length / MAX_TILES)} seconds.`);
+  }
+
+  const cols = Math.min(columns, count);
+  const rows = Math.ceil(count / cols);
+  const tile = stillSize(media, tileWidth);
+  const sprite = stillOutput('storyboard', format);
+  const vttFilename = sprite.filename.replace(/\.\w+$/, '.vtt');
+
+  // Players resolve the sprite relative to the .vtt, which sits next to it
+  const cues = Array.from({ length: count }, (_, i) => ({
+    start: window.start + i * step,
+    end: Math.min(window.start + (i + 1) * step, window.end),
+    text: `${sprite.filename}#xywh=${(i % cols) * tile.width},${Math.floor(i / cols) * tile.height},${tile.width},${tile.height}`
+  }));
+
+  return {
+    run: async (progress) => {
+      await runFFmpeg([
+        '-nostdin', '-threads', '1',
+        '-ss', toFFmpegSeconds(window.start, media.fps), '-t', length.toFixed(6), '-i', inputPath,
+        '-vf', [`fps=${1 / step}`, `scale=${tile.width}:${tile.height}`, `tile=${cols}x${rows}`].join(','),
+        '-an', ...imageEncodeArgs(format),
+        '-y', sprite.filePath
+      ], { ...progress, duration: length });
+      fs.writeFileSync(path.join(path.dirname(sprite.filePath), vttFilename), formatVtt(cues));
+
+      return {
+        filename: sprite.filename,
+        url: sprite.url,
+        vttFilename,
+        vttUrl: `/downloads/${vttFilename}`,
+        frames: count,
+        interval: step,
+        columns: cols,
+        rows,
+        tileWidth: tile.width,
+        tileHeight: tile.height
+      };
+    }
+  };
+}
+
+export default {
+  name: 'storyboard',
+  aliases: ['contact_sheet', 'sprite_sheet'],
+  description: 'tile frames taken at a regular interval into one contact-sheet image with a WebVTT index for scrubbing previews',
+  route: '/api/storyboard',
+  runAsJob: true,
+  producesVideo: false,
+  successMessage: 'Storyboard created.',
+  schema: {
+    type: 'object',
+    properties: {
+      start: { type: 'string', format: 'time-expression' },
+      end: { type: 'string', format: 'time-expression' },
+      range: { type: 'string', format: 'range-expression' },
+      interval: { type: 'number', minimum: 0.1, maximum: 3600 },
+      columns: { type: 'integer', minimum: 1, maximum: 30 },
+      tile_width: { type: 'integer', minimum: 32, maximum: 640 },
+      format: { enum: IMAGE_FORMATS }
+    }
+  },
+  rules: [
+    'If the prompt asks for a storyboard, contact sheet, sprite sheet or scrubbing/seek previews, use "storyboard"',
+    'interval is the seconds between frames ("a frame every 5 seconds" → 5); columns is the number of tiles per row (default 10); tile_width is each tile\'s width in pixels (default 160); start/end or range limit it to part of the video'
+  ],
+  examples: [
+    {
+      prompt: 'Make a contact sheet with a frame every 10 seconds, 5 per row',
+      actions: [{ action: 'storyboard', interval: 10, columns: 5 }]
+    }
+  ],
+  prepare: prepareStoryboard
+};
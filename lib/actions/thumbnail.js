@@ -0,0 +1,103 @@
+// ============================
+// Action: thumbnail
+// ============================
+import { createHttpError } from '../errors.js';
+import { probeMedia, progressSlice, runFFmpeg } from '../media.js';
+import { resolveTimeRange, toFFmpegSeconds } from '../time.js';
+import { IMAGE_FORMATS, stillTextSchema, stillSize, stillOutput, imageEncodeArgs, buildStillTextFilter } from '../stills.js';
+
+// Frames sampled evenly across the window; ffmpeg's thumbnail filter keeps the
+// one closest to their average (the most representative, not a fade or a flash)
+const THUMBNAIL_CANDIDATES = 50;
+// Candidates are compared at this width so long or large videos stay cheap
+const CANDIDATE_WIDTH = 640;
+
+/**
+ * Prepares picking the most representative frame of the video (or of the
+ * start/end/range window) as a thumbnail image, optionally with a text overlay.
+ */
+async function prepareThumbnail(inputPath, { start, end, range, format = 'jpg', width, overlay }) {
+  let media;
+  try {
+    media = await probeMedia(inputPath);
+  } catch (err) {
+    throw createHttpError(500, 'Could not probe video.');
+  }
+  if (!media.hasVideo) {
+    throw createHttpError(400, 'The file has no video stream to take a thumbnail from.');
+  }
+
+  const window = resolveTimeRange({ start: start || 'start', end: end || 'end', range }, media);
+  const length = window.end - window.start;
+  if (length <= 0) {
+    throw createHttpError(400, 'The window is empty; pick an end after the start to take a thumbnail from.');
+  }
+  const candidates = Math.max(1, Math.min(THUMBNAIL_CANDIDATES, Math.floor(length * (media.fps || 30))));
+
+  const size = stillSize(media, width);
+  const filters = [
+    `fps=${candidates / length}`,
+    `scale=${Math.min(CANDIDATE_WIDTH, size.width)}:-2`,
+    `thumbnail=n=${candidates}`
+  ];
+  const output = stillOutput('thumbnail', format);
+
+  return {
+    run: async (progress) => {
+      // Step 1: Find the representative frame's time on the small candidates
+      let log = '';
+      await runFFmpeg([
+        '-nostdin', '-hide_banner', '-threads', '1',
+        '-ss', toFFmpegSeconds(window.start, media.fps), '-t', length.toFixed(6), '-i', inputPath,
+        '-vf', [...filters, 'showinfo'].join(','),
+        '-an', '-frames:v', '1', '-f', 'null', '-'
+      ], { ...progressSlice(progress, 0, 90), duration: length, onStderr: chunk => { log += chunk; } });
+      const picked = log.match(/pts_time:\s*(\d+(?:\.\d+)?)/);
+      const at = Math.min(window.start + (picked ? Number(picked[1]) : 0), window.end);
+
+      // Step 2: Save that frame at full quality, with the text drawn on
+      await runFFmpeg([
+        '-nostdin', '-threads', '1',
+        '-ss', toFFmpegSeconds(at, media.fps), '-i', inputPath,
+        '-vf', [`scale=${size.width}:${size.height}`, ...(overlay ? [buildStillTextFilter(overlay, size.height)] : [])].join(','),
+        ...imageEncodeArgs(format),
+        '-y', output.filePath
+      ], progressSlice(progress, 90, 100));
+
+      return { filename: output.filename, url: output.url, time: at, width: size.width, height: size.height };
+    }
+  };
+}
+
+export default {
+  name: 'thumbnail',
+  aliases: ['make_thumbnail'],
+  description: 'pick the most representative frame as a thumbnail image, optionally with a text overlay',
+  route: '/api/thumbnail',
+  runAsJob: true,
+  producesVideo: false,
+  successMessage: 'Thumbnail created.',
+  schema: {
+    type: 'object',
+    properties: {
+      start: { type: 'string', format: 'time-expression' },
+      end: { type: 'string', format: 'time-expression' },
+      range: { type: 'string', format: 'range-expression' },
+      format: { enum: IMAGE_FORMATS },
+      width: { type: 'integer', minimum: 16, maximum: 7680 },
+      overlay: stillTextSchema
+    }
+  },
+  rules: [
+    'If the prompt asks for a thumbnail or cover image without naming an exact time, use "thumbnail"; it picks the best frame itself (with an exact time use "extract_frame")',
+    'start/end or range limit where the frame is picked from; format is "jpg" (default) or "png"; width scales the image',
+    'Text on the thumbnail goes in "overlay", like one add_overlay entry without timing ("thumbnail with \'Episode 4\' in big yellow letters" → overlay: {"text": "Episode 4", "color": "yellow", "size": 96, "bold": true})'
+  ],
+  examples: [
+    {
+      prompt: 'Make a thumbnail from the first half with \'How I Edit\' at the top on a black box',
+      actions: [{ action: 'thumbnail', range: 'first half', overlay: { text: 'How I Edit', position: 'top-center', box: true, box_color: 'black' } }]
+    }
+  ],
+  prepare: prepareThumbnail
+};
@@ -0,0 +1,24 @@
+// ============================
+// Action: undo
+// ============================
+// History actions have no executor: they move the session cursor instead
+// (see POST /api/sessions/:id/undo and /api/execute).
+
+export default {
+  name: 'undo',
+  description: 'undo the last edit',
+  history: -1,
+  schema: {
+    type: 'object',
+    properties: {}
+  },
+  rules: [
+    'If the user says undo or reverse, return { "action": "undo" }'
+  ],
+  examples: [
+    {
+      prompt: 'Undo that',
+      actions: [{ action: 'undo' }]
+    }
+  ]
+};
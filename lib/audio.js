@@ -0,0 +1,145 @@
+// ============================
+// Audio Cleanup (loudness, high-pass, denoise, gain)
+// ============================
+// Shared by the audio_cleanup action and the optional `audio_cleanup` parameter
+// of every video-producing action. Loudness uses EBU R128 two-pass loudnorm:
+// the first pass measures the (already filtered) audio, the second applies a
+// linear correction to reach the target.
+import fs from 'fs';
+import { createHttpError } from './errors.js';
+import { probeMedia, runFFmpeg, progressSlice } from './media.js';
+
+const DEFAULT_LOUDNESS = -16; // LUFS, typical for online video
+const DEFAULT_TRUE_PEAK = -1.5; // dBTP
+const LOUDNESS_RANGE = 11; // LU
+const DENOISE_LEVELS = { light: 6, medium: 12, strong: 24 }; // afftdn noise reduction in dB
+
+// Options accepted under `audio_cleanup` on any editing action (and flat by audio_cleanup itself)
+const audioCleanupSchema = {
+  type: 'object',
+  properties: {
+    loudness: { type: 'number', minimum: -70, maximum: -5 },
+    true_peak: { type: 'number', minimum: -9, maximum: 0 },
+    highpass: { type: 'number', minimum: 20, maximum: 400 },
+    denoise: { enum: Object.keys(DENOISE_LEVELS) }
+  },
+  additionalProperties: false
+};
+
+/**
+ * Builds the filters that run before loudness normalization:
+ * high-pass, noise reduction and an optional gain (limited to `window` when given).
+ */
+function buildCleanupFilters({ highpass, denoise, gain, window }) {
+  const filters = [];
+  if (highpass) filters.push(`highpass=f=${highpass}`);
+  if (denoise) filters.push(`afftdn=nr=${DENOISE_LEVELS[denoise]}`);
+  if (gain) {
+    const enable = window ? `:enable='between(t,${window.start},${window.end})'` : '';
+    filters.push(`volume=${gain}dB${enable}`);
+  }
+  return filters;
+}
+
+/**
+ * Runs the first loudnorm pass over `filters` and returns ffmpeg's measurement,
+ * or null when the audio is silent and cannot be normalized.
+ */
+async function measureLoudness(inputPath, { loudness, truePeak, filters, progress, duration }) {
+  const measure = `loudnorm=I=${loudness}:TP=${truePeak}:LRA=${LOUDNESS_RANGE}:print_format=json`;
+  const { stderr } = await runFFmpeg([
+    '-nostdin', '-hide_banner', '-threads', '1',
+    '-i', inputPath,
+    '-map', '0:a:0', '-af', [...filters, measure].join(','),
+    '-f', 'null', '-'
+  ], { ...progress, duration });
+
+  let measured;
+  try {
+    measured = JSON.parse(stderr.slice(stderr.lastIndexOf('{'), stderr.lastIndexOf('}') + 1));
+  } catch (err) {
+    throw createHttpError(500, 'Could not read the loudness measurement.');
+  }
+  return Number.isFinite(Number(measured.input_i)) ? measured : null;
+}
+
+/**
+ * Builds the second-pass loudnorm filter from a first-pass measurement.
+ */
+function buildLoudnormFilter({ loudness, truePeak }, measured) {
+  return [
+    `loudnorm=I=${loudness}:TP=${truePeak}:LRA=${LOUDNESS_RANGE}`,
+    `measured_I=${measured.input_i}`,
+    `measured_TP=${measured.input_tp}`,
+    `measured_LRA=${measured.input_lra}`,
+    `measured_thresh=${measured.input_thresh}`,
+    `offset=${measured.target_offset}`,
+    'linear=true'
+  ].join(':');
+}
+
+/**
+ * Builds the complete -af chain for a cleanup. Loudness is only measured when
+ * a target is requested; `progress` covers the measuring pass.
+ */
+async function buildAudioChain(inputPath, options, { progress, duration } = {}) {
+  const filters = buildCleanupFilters(options);
+  if (options.loudness === undefined) return filters;
+
+  const target = { loudness: options.loudness, truePeak: options.true_peak ?? DEFAULT_TRUE_PEAK };
+  const measured = await measureLoudness(inputPath, { ...target, filters, progress, duration });
+  if (!measured) {
+    console.warn('🔇 Audio is silent, skipping loudness normalization');
+    return filters;
+  }
+  // Resample back from loudnorm's internal 192 kHz
+  return [...filters, buildLoudnormFilter(target, measured), 'aresample=48000'];
+}
+
+/**
+ * Re-encodes only the first audio stream of `inputPath` through `filters` into
+ * `outputPath`; every other stream (video, further audio, subtitle tracks with
+ * their language tags) is copied. The output is held to `duration`, since
+ * loudnorm can pad the tail.
+ */
+async function encodeAudioChain(inputPath, outputPath, filters, { progress, duration }) {
+  await runFFmpeg([
+    '-nostdin', '-threads', '1',
+    '-i', inputPath,
+    '-map', '0',
+    '-c', 'copy',
+    '-filter:a:0', filters.join(',') || 'anull',
+    '-c:a:0', 'aac', '-b:a:0', '192k',
+    '-t', String(duration), '-y', outputPath
+  ], { ...progress, duration });
+}
+
+/**
+ * Applies `audio_cleanup` options to a finished output file in place.
+ * Loudness is normalized when a target is given, and by default when no other
+ * step (high-pass, denoise) was asked for. Files without audio are left untouched.
+ */
+async function applyAudioCleanup(filePath, options, progress = {}) {
+  const media = await probeMedia(filePath);
+  if (!media.hasAudio) return;
+
+  const otherSteps = options.highpass !== undefined || options.denoise !== undefined;
+  const loudness = options.loudness ?? (options.true_peak !== undefined || !otherSteps ? DEFAULT_LOUDNESS : undefined);
+  const filters = await buildAudioChain(filePath, { ...options, loudness }, {
+    progress: progressSlice(progress, 0, 50),
+    duration: media.duration
+  });
+
+  const tempPath = filePath.replace(/(\.[^.]+)?$/, '.cleanup$1');
+  try {
+    await encodeAudioChain(filePath, tempPath, filters, { progress: progressSlice(progress, 50, 100), duration: media.duration });
+    await fs.promises.rename(tempPath, filePath);
+  } finally {
+    await fs.promises.rm(tempPath, { force: true });
+  }
+}
+
+export {
+  DEFAULT_LOUDNESS, DEFAULT_TRUE_PEAK, DENOISE_LEVELS, audioCleanupSchema,
+  buildCleanupFilters, measureLoudness, buildLoudnormFilter, buildAudioChain, encodeAudioChain, applyAudioCleanup
+};
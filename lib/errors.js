@@ -0,0 +1,16 @@
+// ============================
+// HTTP Errors
+// ============================
+
+/**
+ * Creates an error carrying the HTTP status a route should answer with,
+ * plus optional field-level { field, message } errors for the response body.
+ */
+function createHttpError(status, message, errors) {
+  const err = new Error(message);
+  err.status = status;
+  if (errors) err.errors = errors;
+  return err;
+}
+
+export { createHttpError };
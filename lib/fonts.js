@@ -0,0 +1,85 @@
+// ============================
+// Overlay Fonts
+// ============================
+// Text overlays name a font family; the files live in FONTS_DIR (default ./fonts)
+// named "<Family>-<Style>.ttf" or ".otf", e.g. "Inter-Bold.ttf" or
+// "Open Sans-Italic.otf". A file without a style suffix is the regular face.
+import path from 'path';
+import fs from 'fs';
+import { fontsDir } from './paths.js';
+import { createHttpError } from './errors.js';
+
+const FONT_FILE = /\.(ttf|otf)$/i;
+
+/**
+ * Compares family names loosely: "Open Sans", "open-sans" and "OpenSans" are the same.
+ */
+function normalizeFamily(name) {
+  return String(name).toLowerCase().replace(/[\s_-]/g, '');
+}
+
+/**
+ * Names the face for a bold/italic combination the way font files do: "bolditalic", "bold", "italic" or "regular".
+ */
+function faceStyle({ bold, italic }) {
+  return `${bold ? 'bold' : ''}${italic ? 'italic' : ''}` || 'regular';
+}
+
+/**
+ * Returns every font file in the fonts directory as { family, style, file }.
+ */
+function readFontFiles() {
+  return fs.readdirSync(fontsDir).filter(name => FONT_FILE.test(name)).map(name => {
+    const base = name.replace(FONT_FILE, '');
+    const dash = base.lastIndexOf('-');
+    return dash > 0
+      ? { family: base.slice(0, dash), style: base.slice(dash + 1).toLowerCase(), file: path.join(fontsDir, name) }
+      : { family: base, style: 'regular', file: path.join(fontsDir, name) };
+  });
+}
+
+/**
+ * Lists the installed font families with their styles, for clients and the LLM prompt.
+ * @returns {{ family: string, styles: string[] }[]}
+ */
+function listFonts() {
+  const families = new Map();
+  for (const { family, style } of readFontFiles()) {
+    const entry = families.get(normalizeFamily(family)) || { family, styles: [] };
+    entry.styles.push(style);
+    families.set(normalizeFamily(family), entry);
+  }
+  return [...families.values()].sort((a, b) => a.family.localeCompare(b.family));
+}
+
+/**
+ * Returns the file of a family's bold/italic face, falling back to its regular
+ * face and then to any face. Throws a 400 for families that are not installed.
+ */
+function resolveFontFile(family, { bold = false, italic = false } = {}) {
+  const faces = readFontFiles().filter(font => normalizeFamily(font.family) === normalizeFamily(family));
+  if (faces.length === 0) {
+    const installed = listFonts().map(font => font.family);
+    throw createHttpError(400, `Font '${family}' is not installed. ${installed.length ? `Available: ${installed.join(', ')}.` : 'Add .ttf/.otf files to the fonts directory.'}`);
+  }
+
+  const wanted = faceStyle({ bold, italic });
+  const face = faces.find(font => font.style.replace(/\s/g, '') === wanted)
+    || faces.find(font => font.style === 'regular')
+    || faces[0];
+  return face.file;
+}
+
+/**
+ * Returns the file of any installed bold/italic face, for text that names no
+ * font, or null when no family has that face.
+ */
+function findStyledFontFile({ bold = false, italic = false } = {}) {
+  const wanted = faceStyle({ bold, italic });
+  const face = readFontFiles()
+    .sort((a, b) => a.family.localeCompare(b.family))
+    .find(font => font.style.replace(/\s/g, '') === wanted);
+  return face ? face.file : null;
+}
+
+export { listFonts, resolveFontFile, findStyledFontFile };
@@ -0,0 +1,179 @@
+// ============================
+// Job Queue
+// ============================
+import { randomUUID } from 'crypto';
+
+// Editing routes validate their input, enqueue a job and answer right away.
+// Jobs run in the background (MAX_CONCURRENT_JOBS at a time) and report
+// progress that clients read from GET /api/jobs/:id or its SSE stream.
+
+const MAX_CONCURRENT_JOBS = Number(process.env.MAX_CONCURRENT_JOBS) || 1;
+const JOB_TTL_MS = 24 * 60 * 60 * 1000; // finished jobs are forgotten after a day
+
+const jobs = new Map();
+const jobQueue = [];
+let runningJobs = 0;
+
+/**
+ * Builds the JSON view of a job returned to the client.
+ */
+function serializeJob(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    progress: job.progress,
+    result: job.result,
+    error: job.error,
+    errorCode: job.errorCode,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt
+  };
+}
+
+/**
+ * Looks up a job by id.
+ */
+function getJob(id) {
+  return jobs.get(id) || null;
+}
+
+/**
+ * Applies changes to a job and notifies every SSE listener.
+ */
+function updateJob(job, changes) {
+  Object.assign(job, changes);
+  const snapshot = serializeJob(job);
+  job.listeners.forEach(listener => listener(snapshot));
+}
+
+/**
+ * Reports progress (0-100) for a running job. Progress never moves backwards.
+ */
+function reportProgress(job, percent) {
+  const rounded = Math.min(100, Math.max(0, Math.round(percent * 10) / 10));
+  if (rounded > job.progress) {
+    updateJob(job, { progress: rounded });
+  }
+}
+
+/**
+ * Drops finished jobs older than JOB_TTL_MS.
+ */
+function pruneJobs() {
+  const cutoff = Date.now() - JOB_TTL_MS;
+  for (const [id, job] of jobs) {
+    if (job.finishedAt && Date.parse(job.finishedAt) < cutoff) {
+      jobs.delete(id);
+    }
+  }
+}
+
+/**
+ * Starts queued jobs while there are free slots.
+ */
+function drainJobQueue() {
+  while (runningJobs < MAX_CONCURRENT_JOBS && jobQueue.length > 0) {
+    const job = jobQueue.shift();
+    runningJobs++;
+
+    updateJob(job, { status: 'running', startedAt: new Date().toISOString() });
+    console.log(`⚙️ Job ${job.id} (${job.type}) started`);
+
+    job.task(job)
+      .then(result => {
+        updateJob(job, { status: 'completed', progress: 100, result, finishedAt: new Date().toISOString() });
+        console.log(`✅ Job ${job.id} (${job.type}) completed`);
+      })
+      .catch(err => {
+        // A task may attach a partial result (e.g. the steps that ran) to its error;
+        // media errors also carry a code such as TIMEOUT or EXIT_CODE
+        const status = job.controller.signal.aborted ? 'cancelled' : 'failed';
+        updateJob(job, {
+          status,
+          error: err.message,
+          errorCode: err.code || null,
+          result: err.result || null,
+          finishedAt: new Date().toISOString()
+        });
+        console.error(`❌ Job ${job.id} (${job.type}) ${status}:`, err.message);
+      })
+      .finally(() => {
+        runningJobs--;
+        drainJobQueue();
+      });
+  }
+}
+
+/**
+ * Queues an async task and returns its job. The task receives the job so it
+ * can report progress, and resolves with the job result.
+ */
+function enqueueJob(type, params, task) {
+  pruneJobs();
+
+  const job = {
+    id: randomUUID(),
+    type,
+    params,
+    status: 'queued',
+    progress: 0,
+    result: null,
+    error: null,
+    errorCode: null,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    task,
+    controller: new AbortController(), // aborting kills the job's running ffmpeg process
+    listeners: new Set()
+  };
+
+  jobs.set(job.id, job);
+  jobQueue.push(job);
+  drainJobQueue();
+  return job;
+}
+
+/**
+ * Cancels a queued or running job. Returns false when the job already finished.
+ */
+function cancelJob(job) {
+  if (job.status === 'queued') {
+    jobQueue.splice(jobQueue.indexOf(job), 1);
+    job.controller.abort();
+    updateJob(job, { status: 'cancelled', error: 'Cancelled before it started.', finishedAt: new Date().toISOString() });
+    return true;
+  }
+
+  if (job.status === 'running') {
+    job.controller.abort();
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * Returns true once a job has completed, failed or been cancelled.
+ */
+function isJobFinished(job) {
+  return ['completed', 'failed', 'cancelled'].includes(job.status);
+}
+
+/**
+ * Sends the 202 response every job-based route returns.
+ */
+function sendJobAccepted(res, job, extra = {}) {
+  return res.status(202).json({
+    success: true,
+    message: 'Job queued.',
+    jobId: job.id,
+    statusUrl: `/api/jobs/${job.id}`,
+    eventsUrl: `/api/jobs/${job.id}/events`,
+    ...extra
+  });
+}
+
+export { enqueueJob, getJob, serializeJob, reportProgress, cancelJob, isJobFinished, sendJobAccepted };
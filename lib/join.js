@@ -0,0 +1,117 @@
+// ============================
+// Joining Clips
+// ============================
+// Normalizes clips to one size, frame rate and audio layout and joins them,
+// back to back (concat) or overlapping with a transition (xfade/acrossfade).
+// Used by the merge action and by intro/outro templates.
+import path from 'path';
+import { cutsDir } from './paths.js';
+import { createHttpError } from './errors.js';
+import { probeMedia, runFFmpeg, even } from './media.js';
+
+// Prompt-facing names mapped to ffmpeg xfade transitions
+const TRANSITIONS = { fade: 'fade', dissolve: 'dissolve', wipe: 'wipeleft' };
+const AUDIO_FORMAT = 'aformat=sample_fmts=fltp:sample_rates=48000:channel_layouts=stereo';
+
+/**
+ * Builds the filter chains that bring one clip to the shared size, frame rate
+ * and audio layout. Clips without audio get silence of the same length.
+ */
+function normalizeClip(index, media, { width, height, fps }) {
+  const scale = Math.min(width / media.width, height / media.height);
+  const video = [
+    `scale=${even(media.width * scale)}:${even(media.height * scale)}`,
+    `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:color=black`,
+    'setsar=1',
+    `fps=${fps}`,
+    'format=yuv420p'
+  ];
+  const audio = media.hasAudio
+    ? `[${index}:a]${AUDIO_FORMAT},apad,atrim=0:${media.duration},asetpts=PTS-STARTPTS[a${index}]`
+    : `aevalsrc=0:c=stereo:s=48000:d=${media.duration},${AUDIO_FORMAT}[a${index}]`;
+
+  return [`[${index}:v]${video.join(',')}[v${index}]`, audio];
+}
+
+/**
+ * Builds the graph that joins every normalized clip, either back to back or
+ * overlapping by `duration` seconds with an xfade/acrossfade transition.
+ */
+function buildMergeFilter(clips, target, transition, duration) {
+  const graph = clips.flatMap((media, index) => normalizeClip(index, media, target));
+
+  if (!transition || transition === 'none') {
+    const inputs = clips.map((_, index) => `[v${index}][a${index}]`).join('');
+    graph.push(`${inputs}concat=n=${clips.length}:v=1:a=1[v][a]`);
+    return graph.join(';');
+  }
+
+  let video = 'v0';
+  let audio = 'a0';
+  let length = clips[0].duration;
+  clips.slice(1).forEach((media, i) => {
+    const index = i + 1;
+    const last = index === clips.length - 1;
+    const nextVideo = last ? 'v' : `vx${index}`;
+    const nextAudio = last ? 'a' : `ax${index}`;
+
+    graph.push(`[${video}][v${index}]xfade=transition=${TRANSITIONS[transition]}:duration=${duration}:offset=${length - duration}[${nextVideo}]`);
+    graph.push(`[${audio}][a${index}]acrossfade=d=${duration}[${nextAudio}]`);
+
+    video = nextVideo;
+    audio = nextAudio;
+    length += media.duration - duration;
+  });
+
+  return graph.join(';');
+}
+
+/**
+ * Prepares joining the clips at `paths`, in order. Every clip is scaled and
+ * padded to the size and frame rate of the clip at `reference` (default the
+ * first); the output is named `<prefix>-…` with the extension of that clip.
+ */
+async function prepareJoin(paths, { transition = 'none', duration = 1, reference = 0, prefix = 'merged' } = {}) {
+  let clips;
+  try {
+    clips = await Promise.all(paths.map(clipPath => probeMedia(clipPath)));
+  } catch (err) {
+    throw createHttpError(500, 'Could not probe the clips.');
+  }
+
+  const missingVideo = clips.findIndex(media => !media.hasVideo);
+  if (missingVideo !== -1) {
+    throw createHttpError(400, `${path.basename(paths[missingVideo])} has no video stream.`);
+  }
+
+  const transitionSeconds = Number(duration);
+  if (transition !== 'none' && clips.some(media => media.duration <= transitionSeconds)) {
+    throw createHttpError(400, 'The transition must be shorter than every clip.');
+  }
+
+  const main = clips[reference];
+  const target = { width: even(main.width), height: even(main.height), fps: main.fps || 30 };
+  const overlap = transition === 'none' ? 0 : transitionSeconds * (clips.length - 1);
+  const totalLen = clips.reduce((sum, media) => sum + media.duration, 0) - overlap;
+
+  const uid = `${Date.now()}-${Math.round(Math.random() * 1e6)}`;
+  const outputFilename = `${prefix}-${uid}${path.extname(paths[reference])}`;
+  const outputPath = path.join(cutsDir, outputFilename);
+
+  return {
+    run: async (progress) => {
+      await runFFmpeg([
+        '-nostdin', '-threads', '1',
+        ...paths.flatMap(clipPath => ['-i', clipPath]),
+        '-filter_complex', buildMergeFilter(clips, target, transition, transitionSeconds),
+        '-map', '[v]', '-map', '[a]',
+        '-c:v', 'libx264', '-preset', 'fast', '-crf', '23',
+        '-c:a', 'aac', '-b:a', '192k', '-y', outputPath
+      ], { ...progress, duration: totalLen });
+
+      return { filename: outputFilename, url: `/uploads/cuts/${outputFilename}` };
+    }
+  };
+}
+
+export { TRANSITIONS, prepareJoin };
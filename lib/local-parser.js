@@ -0,0 +1,552 @@
+// ============================
+// Offline Rule-Based Prompt Parser
+// ============================
+// Deterministic fallback for /api/parse-prompt when the LLM is unavailable.
+// It follows the same rules as the LLM system prompt and emits the same
+// time grammar (HH:MM:SS[.mmm], f:<frame>, "start", "end", "end-HH:MM:SS").
+import { timeToSeconds, secondsToTime } from './time.js';
+import { SUBTITLE_COLORS, LANGUAGES } from './subtitles.js';
+
+const TIME_TOKEN = String.raw`\b(?:\d{1,2}:\d{2}(?::\d{2})?(?:\.\d{1,3})?|f:\d+|frame\s+\d+|(?:the\s+)?(?:start|beginning|end))\b`;
+// Anything that names a time or a span, read or not
+const TIME_HINT = new RegExp(String.raw`${TIME_TOKEN}|\d\s*(?:seconds?|secs?|minutes?|mins?|hours?|s|m|h)\b|\b(?:first|last|middle|from|between|until|till)\b`);
+const UNIT_SECONDS = { second: 1, sec: 1, s: 1, minute: 60, min: 60, m: 60, hour: 3600, h: 3600 };
+// Verbs that start a new editing step after "and"
+const CLAUSE_VERBS = [
+  'add', 'put', 'remove', 'delete', 'cut', 'trim', 'drop', 'keep', 'clip', 'extract', 'export', 'save', 'render',
+  'convert', 'make', 'create', 'generate', 'grab', 'take', 'apply', 'insert', 'burn', 'merge', 'join', 'combine',
+  'append', 'speed', 'slow', 'reframe', 'resize', 'crop', 'normalize', 'normalise', 'boost', 'reduce', 'lower',
+  'raise', 'mute', 'denoise', 'translate', 'transcribe', 'undo', 'redo', 'replace', 'overlay'
+];
+
+/**
+ * Normalizes "1:20", "01:02:03.5", "frame 1500", "beginning" or "the end" into the shared time grammar.
+ */
+function normalizeTimeToken(token) {
+  const value = token.trim().toLowerCase().replace(/^the\s+/, '');
+  if (value === 'start' || value === 'beginning') return 'start';
+  if (value === 'end') return 'end';
+
+  const frame = value.match(/^(?:f:|frame\s+)(\d+)$/);
+  if (frame) return `f:${frame[1]}`;
+
+  return secondsToTime(timeToSeconds(value));
+}
+
+/**
+ * Converts "10 seconds", "2 minutes" or "1.5 min" into seconds.
+ */
+function durationToSeconds(amount, unit) {
+  const key = unit.toLowerCase().replace(/s$/, '');
+  return Number(amount) * (UNIT_SECONDS[key] || UNIT_SECONDS[unit.toLowerCase()] || 1);
+}
+
+/**
+ * Extracts a { start, end } or { range } from a clause, or null when none is mentioned.
+ */
+function parseRange(clause) {
+  const text = clause.toLowerCase();
+
+  const named = text.match(/\b(first|second|third|fourth|middle|last)\s+(half|third|quarter)\b/);
+  if (named) {
+    return { range: `${named[1]} ${named[2]}` };
+  }
+
+  const percent = text.match(/\b(first|last)\s+(\d+(?:\.\d+)?)\s*%/);
+  if (percent) {
+    return { range: `${percent[1]} ${percent[2]}%` };
+  }
+
+  const edge = text.match(/\b(first|last)\s+(?:(\d+(?:\.\d+)?)\s*)?(seconds?|secs?|minutes?|mins?|hours?|s|m|h)\b/);
+  if (edge && (edge[2] || /^(second|minute|hour)$/.test(edge[3]))) {
+    const span = secondsToTime(durationToSeconds(edge[2] ?? 1, edge[3]));
+    return edge[1] === 'first'
+      ? { start: '00:00:00', end: span }
+      : { start: `end-${span}`, end: 'end' };
+  }
+
+  const lasting = text.match(new RegExp(String.raw`(?:(?:from|at)\s+)?(${TIME_TOKEN})\s+for\s+(\d+(?:\.\d+)?)\s*(seconds?|secs?|minutes?|mins?|hours?|s|m|h)\b`));
+  if (lasting) {
+    return {
+      start: normalizeTimeToken(lasting[1]),
+      end: `+${secondsToTime(durationToSeconds(lasting[2], lasting[3]))}`
+    };
+  }
+
+  const between = text.match(new RegExp(String.raw`(?:from|between)\s+(${TIME_TOKEN})\s+(?:to|till|until|and|-)\s+(${TIME_TOKEN})`));
+  const bare = text.match(new RegExp(String.raw`(${TIME_TOKEN})\s*(?:to|till|until|-|–)\s*(${TIME_TOKEN})`));
+  const range = between || bare;
+  if (range) {
+    return { start: normalizeTimeToken(range[1]), end: normalizeTimeToken(range[2]) };
+  }
+
+  if (/\b(whole|entire|full)\s+(video|clip|thing)\b/.test(text)) {
+    return { start: 'start', end: 'end' };
+  }
+
+  return null;
+}
+
+/**
+ * Extracts a slow-motion speed factor; defaults to 0.5 like the LLM rules.
+ */
+function parseSpeed(clause) {
+  const text = clause.toLowerCase();
+
+  const percent = text.match(/(\d+(?:\.\d+)?)\s*%\s*speed/);
+  if (percent) return Number(percent[1]) / 100;
+
+  const slower = text.match(/(\d+(?:\.\d+)?)\s*x\s*slower/);
+  if (slower) return 1 / Number(slower[1]);
+
+  if (/quarter\s+speed/.test(text)) return 0.25;
+  if (/half\s+speed/.test(text)) return 0.5;
+
+  return 0.5;
+}
+
+/**
+ * Extracts a speed-up factor ("4x", "3 times faster", "double speed");
+ * defaults to 8 for timelapses and 2 otherwise.
+ */
+function parseSpeedUp(clause) {
+  const text = clause.toLowerCase();
+
+  const factor = text.match(/(\d+(?:\.\d+)?)\s*(?:x\b|times\b)/);
+  if (factor) return Number(factor[1]);
+
+  if (/\b(twice|double)\b/.test(text)) return 2;
+  if (/\btriple\b/.test(text)) return 3;
+
+  return /time[\s-]?lapse/.test(text) ? 8 : 2;
+}
+
+/**
+ * Reads a reframe request: target aspect ratio, pad mode and an optional WIDTHxHEIGHT size.
+ */
+function parseReframe(clause) {
+  const text = clause.toLowerCase();
+  const action = { action: 'reframe' };
+
+  const ratio = text.match(/\b(16:9|9:16|1:1|4:5)\b/);
+  if (ratio) action.aspect = ratio[1];
+  else if (/\b(vertical|portrait|tiktok|reels?|shorts|stories)\b/.test(text)) action.aspect = '9:16';
+  else if (/\b(square|instagram)\b/.test(text)) action.aspect = '1:1';
+  else if (/\b(horizontal|landscape|widescreen|youtube)\b/.test(text)) action.aspect = '16:9';
+
+  if (/\b(letterbox|black bars|pad)\b/.test(text)) action.mode = 'letterbox';
+  else if (/\bblur/.test(text)) action.mode = 'blur';
+
+  const size = text.match(/\b(\d{3,4})\s*x\s*(\d{3,4})\b/);
+  if (size) {
+    action.width = Number(size[1]);
+    action.height = Number(size[2]);
+  }
+
+  return action.aspect || action.width ? action : null;
+}
+
+/**
+ * Reads a merge request: the clip filenames in order, and the transition with its length.
+ */
+function parseMerge(clause) {
+  const text = clause.toLowerCase();
+  const files = clause.match(/[\w.-]+\.(?:mp4|mov|mkv|webm|avi|m4v)\b/gi);
+  if (!files) return null;
+
+  const action = { action: 'merge', files };
+  if (/\bdissolve\b/.test(text)) action.transition = 'dissolve';
+  else if (/\bwipe\b/.test(text)) action.transition = 'wipe';
+  else if (/\b(cross[\s-]?fade|fade)\b/.test(text)) action.transition = 'fade';
+
+  const length = text.match(/(\d+(?:\.\d+)?)[\s-]*(?:seconds?|secs?|s)\b/);
+  if (action.transition && length) action.duration = Number(length[1]);
+
+  return action;
+}
+
+/**
+ * Reads a template request ("add our outro", "add the podcast intro", "lower third
+ * for Jane Doe, CEO"): the template name or kind, the name/title variables of a
+ * lower third, its window and an intro/outro transition.
+ */
+function parseTemplate(clause) {
+  const text = clause.toLowerCase();
+  const action = { action: 'apply_template' };
+
+  const named = text.match(/\b(?:the|our|my)?\s*([a-z0-9_-]+)\s+template\b/);
+  if (/\blower[\s-]?thirds?\b/.test(text)) action.template = 'lower third';
+  else if (/\b(outro|end card|end screen)\b/.test(text)) action.template = 'outro';
+  else if (/\b(intro|title card)\b/.test(text)) action.template = 'intro';
+  else if (named && !/^(a|an|the|our|my)$/.test(named[1])) action.template = named[1];
+  else return null;
+
+  // "podcast intro" / "our podcast outro" → a name part for the template lookup
+  const qualified = text.match(/\b(?:the|our|my|a|an)\s+([a-z0-9_-]+)\s+(intro|outro)\b/);
+  if (qualified) action.template = `${qualified[1]} ${qualified[2]}`;
+
+  if (action.template === 'lower third') {
+    const person = clause.match(/\bfor\s+['"“‘]?([^,'"”’]+?)['"”’]?\s*,\s*(?:the\s+)?['"“‘]?([^,'"”’]+?)['"”’]?(?=\s+(?:at|from|between|for)\b|$)/i)
+      || clause.match(/\bfor\s+['"“‘]?([^,'"”’]+?)['"”’]?(?=\s+(?:at|from|between)\b|$)/i);
+    if (person) action.variables = { name: person[1].trim(), ...(person[2] ? { title: person[2].trim() } : {}) };
+    Object.assign(action, parseRange(clause) || {});
+    return action;
+  }
+
+  if (/\bdissolve\b/.test(text)) action.transition = 'dissolve';
+  else if (/\bwipe\b/.test(text)) action.transition = 'wipe';
+  else if (/\b(cross[\s-]?fade|fade)\b/.test(text)) action.transition = 'fade';
+
+  return action;
+}
+
+/**
+ * Reads a still-image request: a storyboard/contact sheet (interval and columns),
+ * a thumbnail (window and quoted overlay text) or a frame grab at a time.
+ */
+function parseStill(clause) {
+  const text = clause.toLowerCase();
+  const format = /\bpng\b/.test(text) ? 'png' : /\bjpe?g\b/.test(text) ? 'jpg' : null;
+
+  if (/\b(storyboard|contact[\s-]?sheet|sprite[\s-]?sheet|scrub(bing)?|seek previews?)\b/.test(text)) {
+    const action = { action: 'storyboard' };
+    const every = text.match(/\bevery\s+(\d+(?:\.\d+)?)\s*(seconds?|secs?|minutes?|mins?|s|m)\b/);
+    if (every) action.interval = durationToSeconds(every[1], every[2]);
+    const columns = text.match(/\b(\d+)\s+(?:per\s+row|columns?|across)\b/);
+    if (columns) action.columns = Number(columns[1]);
+    if (format) action.format = format;
+    return action;
+  }
+
+  if (/\b(thumbnail|cover image|poster frame)\b/.test(text)) {
+    const action = { action: 'thumbnail', ...parseRange(clause) };
+    const quoted = clause.match(/['"“‘]([^'"”’]+)['"”’]/);
+    if (quoted) {
+      action.overlay = { text: quoted[1] };
+      const position = text.match(/\b(top|bottom)\b/);
+      if (position) action.overlay.position = `${position[1]}-center`;
+    }
+    if (format) action.format = format;
+    return action;
+  }
+
+  const at = text.match(new RegExp(String.raw`\b(?:at|from)\s+(${TIME_TOKEN})`));
+  const last = /\b(last|final)\s+frame\b/.test(text);
+  const first = /\b(first|opening)\s+frame\b/.test(text);
+  if (!at && !last && !first) return null;
+
+  const action = { action: 'extract_frame', time: at ? normalizeTimeToken(at[1]) : last ? 'end' : 'start' };
+  if (format) action.format = format;
+  return action;
+}
+
+/**
+ * Reads a logo/watermark request: the image filename, position, size, opacity, fades and window.
+ */
+function parseImageOverlay(clause) {
+  const text = clause.toLowerCase();
+  const image = clause.match(/[\w.-]+\.(?:png|jpe?g|webp)\b/i);
+  if (!image) return null;
+
+  const action = { action: 'add_image_overlay', image: image[0] };
+  const position = text.match(/\b(top|bottom)[\s-](left|center|right)\b|\bcent(?:er|re|ered|red)\b/);
+  if (position) action.position = position[1] ? `${position[1]}-${position[2]}` : 'center';
+
+  const opacity = text.match(/(\d+(?:\.\d+)?)\s*%\s*(opacity|opaque|transparen)/);
+  if (opacity) {
+    const share = Number(opacity[1]) / 100;
+    action.opacity = opacity[2] === 'transparen' ? 1 - share : share;
+  }
+
+  const scale = text.match(/(\d+(?:\.\d+)?)\s*%\s*(?:of the\s+)?(?:width|size|scale)/);
+  if (scale) action.scale = Number(scale[1]) / 100;
+  else if (/\bsmall\b/.test(text)) action.scale = 0.1;
+  else if (/\b(large|big)\b/.test(text)) action.scale = 0.3;
+
+  if (/\bfad(e|ing)\s+in\b/.test(text)) action.fade_in = 0.5;
+  if (/\bfad(e|ing)\s+(in\s+and\s+)?out\b/.test(text)) action.fade_out = 0.5;
+
+  const range = parseRange(clause);
+  if (range && !(range.start === 'start' && range.end === 'end')) Object.assign(action, range);
+
+  return action;
+}
+
+/**
+ * Reads a music / voice-over request: the track filename, level, ducking, fades and looping.
+ */
+function parseMusic(clause) {
+  const text = clause.toLowerCase();
+  const track = clause.match(/[\w.-]+\.(?:mp3|wav|m4a)\b/i);
+  if (!track) return null;
+
+  const action = { action: 'add_music', track: track[0] };
+  if (/\b(replace|swap|instead of)\b/.test(text)) action.mode = 'replace';
+
+  const volume = text.match(/(\d+(?:\.\d+)?)\s*%/);
+  if (volume) action.volume = Number(volume[1]) / 100;
+  else if (action.mode === 'replace') action.volume = 1;
+
+  if (/\bduck|\b(dip|lower)s?\b.*\b(voice|speech|talk|speak)/.test(text)) action.duck = true;
+  if (/\b(no|don'?t|without)\s+loop/.test(text) || /\bvoice[\s-]?over\b/.test(text)) action.loop = false;
+  if (/\bfad(e|ing)\s+in\b/.test(text)) action.fade_in = 2;
+  if (/\bfad(e|ing)\s+(in\s+and\s+)?out\b/.test(text)) action.fade_out = 2;
+
+  const start = text.match(new RegExp(String.raw`\b(?:from|at|starting at)\s+(${TIME_TOKEN})`));
+  if (start) action.start = normalizeTimeToken(start[1]);
+
+  return action;
+}
+
+/**
+ * Reads an audio cleanup request. "Louder"/"quieter" over a time range become a
+ * gain change; otherwise "louder" and "normalize" set a loudness target.
+ */
+function parseAudioCleanup(clause) {
+  const text = clause.toLowerCase();
+  const action = { action: 'audio_cleanup' };
+
+  if (/\b(noise|hiss|hum|rumble)\b/.test(text)) {
+    action.denoise = /\b(a bit|slightly|light)\b/.test(text) ? 'light' : /\b(lots|strong|heavy|all)\b/.test(text) ? 'strong' : 'medium';
+    if (/\b(hum|rumble|background)\b/.test(text)) action.highpass = 80;
+  }
+
+  const louder = /\blouder\b|\b(turn|crank)\s+(it\s+)?up\b|\bboost\b/.test(text);
+  const quieter = /\b(quieter|softer)\b|\bturn\s+(it\s+)?down\b|\blower\s+the\s+volume\b/.test(text);
+  const range = parseRange(clause);
+
+  if ((louder || quieter) && range) {
+    Object.assign(action, { gain: louder ? 6 : -6 }, range);
+  } else if (quieter) {
+    action.gain = -6;
+  } else if (louder) {
+    action.loudness = -14;
+  } else if (/\bnormali[sz]e\b|\blevel\b|\beven out\b|\bbroadcast\b|\blufs\b/.test(text)) {
+    const lufs = text.match(/(-\d+(?:\.\d+)?)\s*lufs/);
+    action.loudness = lufs ? Number(lufs[1]) : /\bbroadcast\b/.test(text) ? -23 : -16;
+  }
+
+  return Object.keys(action).length > 1 ? action : null;
+}
+
+/**
+ * Reads a jump-cut request: whether filler words go too, and the shortest pause to cut.
+ */
+function parseSilence(clause) {
+  const text = clause.toLowerCase();
+  const action = { action: 'remove_silence' };
+  if (/\b(filler words?|ums?|uhs?|umms?|erms?)\b/.test(text)) action.fillers = true;
+
+  const longer = text.match(/longer than\s+(?:a|one|(\d+(?:\.\d+)?))\s*(?:seconds?|secs?|s)\b/);
+  if (longer) action.min_silence = longer[1] ? Number(longer[1]) : 1;
+
+  return action;
+}
+
+/**
+ * Reads an edit by spoken words: "remove the part where I say 'sorry'" or
+ * "cut from 'welcome' to 'thanks for watching'". Returns null without quotes.
+ */
+function parseTextEdit(clause) {
+  const text = clause.toLowerCase();
+  const quotes = [...clause.matchAll(/(?:^|[\s(])['"“‘]([^'"”’]+?)['"”’](?=$|[\s.,;:!?)])/g)].map(match => match[1].trim());
+  if (quotes.length === 0) return null;
+
+  const remove = /\b(remove|delete|drop|cut out)\b/.test(text);
+  if (!remove && !/\b(cut|keep|clip|extract)\b/.test(text)) return null;
+
+  const action = remove ? 'remove_by_text' : 'cut_by_text';
+  if (quotes.length >= 2 && /\bfrom\b/.test(text)) {
+    return { action, from: quotes[0], to: quotes[1] };
+  }
+  return { action, text: quotes[0] };
+}
+
+/**
+ * Reads a subtitle request: soft or burned in, the languages, the download format and the styling.
+ */
+function parseSubtitles(clause) {
+  const text = clause.toLowerCase();
+  const action = { action: 'add_subtitles' };
+
+  if (/\b(soft|toggle(able)?|closed captions?|cc|selectable|track)\b/.test(text)) action.mode = 'soft';
+  else if (/\b(burn(ed|t)?|hard(coded)?|open captions?)\b/.test(text)) action.mode = 'burn';
+
+  const languages = LANGUAGES.filter(({ name }) => new RegExp(String.raw`\b${name.toLowerCase()}\b`).test(text));
+  if (languages.length > 0) {
+    action.target_languages = languages.map(({ code }) => code);
+    // Several languages only fit in one video as separate tracks
+    if (languages.length > 1 && !action.mode) action.mode = 'soft';
+  }
+
+  const format = text.match(/\b(srt|vtt|webvtt|ass)\b/);
+  if (format) action.format = format[1] === 'webvtt' ? 'vtt' : format[1];
+
+  const colors = Object.keys(SUBTITLE_COLORS).join('|');
+  if (/\b(tik\s?tok|reels?|shorts|karaoke|animated|word[\s-]by[\s-]word|one word at a time|pop(ping)?)\b/.test(text)) {
+    action.animated_captions = true;
+    if (/\bone word at a time\b|\bsingle words?\b/.test(text)) action.words_per_group = 1;
+
+    const perGroup = text.match(/\b(\d|two|three|four|five)\s+words?\s+(?:at a time|per|each)\b/);
+    if (perGroup) action.words_per_group = Number(perGroup[1]) || ['two', 'three', 'four', 'five'].indexOf(perGroup[1]) + 2;
+
+    const highlight = text.match(new RegExp(String.raw`\b(${colors}|#[0-9a-f]{6})\s+highlight`))
+      || text.match(new RegExp(String.raw`\b(?:highlight(?:ed|ing)?|current|active|spoken)\b[\w\s]*?\b(?:in\s+)?(${colors}|#[0-9a-f]{6})\b`));
+    if (highlight) action.highlight_color = highlight[1];
+  }
+
+  const color = text.match(new RegExp(String.raw`\b(${colors}|#[0-9a-f]{6})\s+(?:subtitles?|captions?|text|font|letters)`))
+    || text.match(new RegExp(String.raw`\b(?:in|colou?r(?:ed)?)\s+(${colors}|#[0-9a-f]{6})\b`));
+  if (color && color[1] !== action.highlight_color) action.color = color[1];
+
+  const box = text.match(new RegExp(String.raw`\b(?:(${colors})\s+)?(?:background|box|banner)\b`));
+  if (box) {
+    action.background = true;
+    if (box[1]) action.background_color = box[1];
+  }
+
+  const position = text.match(/\b(?:at|on|to)\s+(?:the\s+)?(top|middle|center|centre|bottom)\b/);
+  if (position) action.position = position[1] === 'top' || position[1] === 'bottom' ? position[1] : 'middle';
+
+  if (/\b(big|bigger|large|larger)\b/.test(text)) action.size = 36;
+  else if (/\b(small|smaller|tiny)\b/.test(text)) action.size = 16;
+
+  const maxChars = text.match(/(\d+)\s*(?:characters?|chars?)\b/);
+  if (maxChars) action.max_chars = Number(maxChars[1]);
+
+  return action;
+}
+
+/**
+ * Splits a multi-step prompt into clauses: at "then", ";", sentence ends and
+ * at "and" when a verb phrase follows ("remove the first 10 seconds and add
+ * subtitles"), so "between 0:05 and 0:10" or "a.mp4 and b.mp4" stay whole.
+ * Quoted overlay text is left intact.
+ */
+function splitClauses(prompt) {
+  const quoted = [];
+  const masked = prompt.replace(/(['"“‘])[^'"”’]*['"”’]/g, match => `\u0000${quoted.push(match) - 1}\u0000`);
+  // A known verb, or any word taking an object ("and sharpen the video"), so unknown steps surface as errors
+  const andVerb = String.raw`,?\s*\band\s+(?:also\s+)?(?=(?:${CLAUSE_VERBS.join('|')})\b|[a-z]+\s+(?:the|a|an|it|this|that|some|my|our)\b)`;
+
+  return masked
+    .split(new RegExp(String.raw`\s*(?:,?\s*\band then\b|,?\s*\bthen\b|${andVerb}|;|\.\s+(?=[A-Za-z]))\s*`, 'i'))
+    .map(clause => clause.replace(/\u0000(\d+)\u0000/g, (_, i) => quoted[i]).trim())
+    .filter(Boolean);
+}
+
+/**
+ * Parses one clause into a single action, or returns null when it is not understood.
+ */
+function parseClause(clause) {
+  const text = clause.toLowerCase();
+
+  if (!/^(add|put)\b/.test(text)) {
+    const textEdit = parseTextEdit(clause);
+    if (textEdit) return textEdit;
+  }
+
+  if (/\bredo\b|\bdo (it |that )?again\b/.test(text)) return { action: 'redo' };
+  if (/\bundo\b|\breverse\b/.test(text)) return { action: 'undo' };
+
+  if (/\b(intro|outro|lower[\s-]?thirds?|title card|end card|end screen|template)\b/.test(text) && !/\.(mp4|mov|mkv|webm|avi|m4v)\b/.test(text)) {
+    const template = parseTemplate(clause);
+    if (template) return template;
+  }
+
+  if (/\b(thumbnail|cover image|poster frame|storyboard|contact[\s-]?sheet|sprite[\s-]?sheet|screenshot|snapshot|still|frame grab|(grab|save|extract|capture|export)\s+(a|the)\s+(\w+\s+)?frame)\b/.test(text)) {
+    const still = parseStill(clause);
+    if (still) return still;
+  }
+
+  if (/\b(logo|watermark|image)\b|\.(png|jpe?g|webp)\b/.test(text)) {
+    const imageOverlay = parseImageOverlay(clause);
+    if (imageOverlay) return imageOverlay;
+  }
+
+  if (/^(add|put)\s+['"“‘]/i.test(clause)) {
+    return { action: 'add_overlay', prompt: clause };
+  }
+
+  if (/\b(subtitles?|captions?)\b/.test(text)) return parseSubtitles(clause);
+
+  if (/\b(music|song|soundtrack|track|voice[\s-]?over|narration|audio)\b|\.(mp3|wav|m4a)\b/.test(text)) {
+    const music = parseMusic(clause);
+    if (music) return music;
+  }
+
+  if (/\b(silen(ce|ces|t)|pauses?|dead air|jump[\s-]?cuts?|filler words?|ums?|uhs?)\b/.test(text)) {
+    return parseSilence(clause);
+  }
+
+  if (/\b(louder|quieter|softer|volume|loudness|lufs|normali[sz]e|noise|hiss|hum|rumble|boost)\b/.test(text)) {
+    const cleanup = parseAudioCleanup(clause);
+    if (cleanup) return cleanup;
+  }
+
+  if (/\bextract\s+(the\s+)?audio\b|\bconvert\s+(it\s+)?to\s+(mp3|wav)\b|\b(mp3|wav)\b/.test(text)) {
+    return { action: 'extract_audio', format: /\bwav\b/.test(text) ? 'wav' : 'mp3' };
+  }
+
+  if (/\b(join|merge|combine|append|concatenate)\b/.test(text)) {
+    const merge = parseMerge(clause);
+    if (merge) return merge;
+  }
+
+  if (/\bslow[\s-]?(motion|mo)\b|\bslow\s+(it\s+)?down\b|\bslower\b|%\s*speed|\b(half|quarter)\s+speed\b/.test(text)) {
+    // The whole video only when no time is named; an unread time goes to the LLM instead
+    const range = parseRange(clause) || (!TIME_HINT.test(text) && { start: 'start', end: 'end' });
+    if (!range) return null;
+    return { action: 'slow_motion', ...range, speed: parseSpeed(clause) };
+  }
+
+  if (/\bspeed\s+(it\s+)?up\b|\bfaster\b|\bfast[\s-]?forward\b|\btime[\s-]?lapse\b|\b(double|triple)\s+speed\b/.test(text)) {
+    const action = { action: 'change_speed', ...parseRange(clause), speed: parseSpeedUp(clause) };
+    if (/\b(mute|muted|silent|no (sound|audio)|without (sound|audio))\b/.test(text)) action.audio = 'mute';
+    return action;
+  }
+
+  if (/\b(reframe|resize|aspect|vertical|portrait|horizontal|landscape|widescreen|square|tiktok|reels?|shorts|stories|instagram|16:9|9:16|1:1|4:5)\b/.test(text)) {
+    const action = parseReframe(clause);
+    if (action) return action;
+  }
+
+  if (/\b(export|save|render)\b/.test(text)) {
+    const format = text.match(/\b(mp4|mov|avi|webm|mkv)\b/);
+    return format ? { action: 'export', format: format[1] } : { action: 'export' };
+  }
+
+  const range = parseRange(clause);
+  if (!range) return null;
+
+  if (/\b(remove|delete|trim|drop|cut out)\b/.test(text)) return { action: 'remove_segment', ...range };
+  if (/\b(cut|clip|extract|keep)\b/.test(text)) return { action: 'cut', ...range };
+
+  return null;
+}
+
+/**
+ * Parses a prompt without the LLM.
+ * Returns { actions, errors }; every clause that is not understood becomes an error.
+ */
+function parsePromptLocally(prompt) {
+  const actions = [];
+  const errors = [];
+
+  splitClauses(prompt).forEach((clause, index) => {
+    const action = parseClause(clause);
+    if (action) {
+      actions.push(action);
+    } else {
+      errors.push({ index, field: 'prompt', message: `could not understand "${clause}"` });
+    }
+  });
+
+  if (actions.length === 0 && errors.length === 0) {
+    errors.push({ field: 'prompt', message: 'is empty' });
+  }
+
+  return { actions, errors };
+}
+
+export { parsePromptLocally };
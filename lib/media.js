@@ -0,0 +1,347 @@
+// ============================
+// Media Toolkit (FFmpeg / FFprobe)
+// ============================
+// Every ffmpeg and ffprobe call goes through this module. Processes are spawned
+// without a shell, bounded by a timeout, cancellable through an AbortSignal,
+// and fail with a structured media error (see createMediaError).
+import { spawn } from 'child_process';
+import { reportProgress } from './jobs.js';
+import { toFFmpegSeconds } from './time.js';
+
+const FFMPEG_TIMEOUT_MS = Number(process.env.FFMPEG_TIMEOUT_MS) || 60 * 60 * 1000; // 1 hour safety net
+const FFPROBE_TIMEOUT_MS = Number(process.env.FFPROBE_TIMEOUT_MS) || 30 * 1000;
+const STDERR_TAIL_CHARS = 2000;
+// Playback factors the retiming filters accept; atempo is cascaded outside 0.5–2
+const MIN_SPEED = 0.1;
+const MAX_SPEED = 16;
+
+/**
+ * @typedef {'SPAWN_FAILED'|'TIMEOUT'|'CANCELLED'|'EXIT_CODE'|'PROBE_FAILED'} MediaErrorCode
+ */
+
+/**
+ * @typedef {Error & {
+ *   name: 'MediaError', code: MediaErrorCode, tool: string, args: string[],
+ *   exitCode: number|null, signal: string|null, stderr: string
+ * }} MediaError
+ */
+
+/**
+ * @typedef {Object} MediaInfo
+ * @property {number} duration       Container duration in seconds
+ * @property {number|null} fps       Frame rate of the first video stream
+ * @property {number|null} width
+ * @property {number|null} height
+ * @property {boolean} hasVideo
+ * @property {boolean} hasAudio
+ * @property {number|null} sampleRate  Sample rate of the first audio stream
+ * @property {Object[]} streams      Raw ffprobe streams
+ * @property {Object} format         Raw ffprobe format
+ */
+
+/**
+ * @typedef {Object} RunOptions
+ * @property {Object} [job]          Job whose progress is reported
+ * @property {number} [duration]     Expected output duration in seconds, for progress
+ * @property {number} [from=0]       Start of the job's percent range for this run
+ * @property {number} [to=100]       End of the job's percent range for this run
+ * @property {number} [timeoutMs]    Kill the process after this long
+ * @property {AbortSignal} [signal]  Kill the process when aborted (defaults to the job's signal)
+ * @property {(chunk: string) => void} [onStderr]  Receives every stderr chunk (the resolved stderr is only a tail)
+ */
+
+/**
+ * Creates a structured error for a failed ffmpeg/ffprobe run.
+ * @returns {MediaError}
+ */
+function createMediaError(code, message, { tool, args = [], exitCode = null, signal = null, stderr = '' } = {}) {
+  const err = new Error(message);
+  err.name = 'MediaError';
+  err.code = code;
+  err.tool = tool;
+  err.args = args;
+  err.exitCode = exitCode;
+  err.signal = signal;
+  err.stderr = stderr;
+  return err;
+}
+
+/**
+ * Spawns ffmpeg or ffprobe and settles once it exits.
+ * Resolves with { stdout, stderr } (stderr trimmed to its tail); rejects with a MediaError.
+ */
+function runTool(tool, args, { timeoutMs, signal, captureStdout = false, onStderr } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      return reject(createMediaError('CANCELLED', `${tool} was cancelled`, { tool, args }));
+    }
+
+    const child = spawn(tool, args);
+    let stdout = '';
+    let stderrTail = '';
+    let failure = null;
+
+    const stop = (code, message) => {
+      if (failure) return;
+      failure = { code, message };
+      child.kill('SIGKILL');
+    };
+
+    const timeout = setTimeout(() => stop('TIMEOUT', `${tool} timed out after ${timeoutMs} ms`), timeoutMs);
+    const onAbort = () => stop('CANCELLED', `${tool} was cancelled`);
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    const cleanup = () => {
+      clearTimeout(timeout);
+      signal?.removeEventListener('abort', onAbort);
+    };
+
+    if (captureStdout) {
+      child.stdout.on('data', data => { stdout += data.toString(); });
+    }
+
+    child.stderr.on('data', data => {
+      const chunk = data.toString();
+      stderrTail = (stderrTail + chunk).slice(-STDERR_TAIL_CHARS);
+      if (onStderr) onStderr(chunk);
+    });
+
+    child.on('close', (exitCode, exitSignal) => {
+      cleanup();
+      const details = { tool, args, exitCode, signal: exitSignal, stderr: stderrTail };
+
+      if (failure) {
+        return reject(createMediaError(failure.code, failure.message, details));
+      }
+      if (exitCode !== 0) {
+        return reject(createMediaError('EXIT_CODE', `${tool} exited with code ${exitCode}`, details));
+      }
+      return resolve({ stdout, stderr: stderrTail });
+    });
+
+    child.on('error', err => {
+      cleanup();
+      failure = failure || { code: 'SPAWN_FAILED', message: `Could not start ${tool}: ${err.message}` };
+      reject(createMediaError(failure.code, failure.message, { tool, args, stderr: stderrTail }));
+    });
+  });
+}
+
+/**
+ * Parses an ffprobe frame rate such as "30000/1001"; returns null for "0/0" or missing values.
+ */
+function parseFrameRate(rate) {
+  const [num, den = 1] = String(rate || '').split('/').map(Number);
+  const fps = num / den;
+  return Number.isFinite(fps) && fps > 0 ? fps : null;
+}
+
+/**
+ * Probes a media file with ffprobe.
+ * Rejects with a PROBE_FAILED MediaError when the file has no readable duration.
+ * @returns {Promise<MediaInfo>}
+ */
+async function probeMedia(filePath, { timeoutMs = FFPROBE_TIMEOUT_MS, signal } = {}) {
+  const args = ['-v', 'error', '-show_format', '-show_streams', '-of', 'json', filePath];
+  const { stdout, stderr } = await runTool('ffprobe', args, { timeoutMs, signal, captureStdout: true });
+
+  let info;
+  try {
+    info = JSON.parse(stdout);
+  } catch (err) {
+    throw createMediaError('PROBE_FAILED', `ffprobe returned invalid JSON: ${err.message}`, { tool: 'ffprobe', args, stderr });
+  }
+
+  const streams = info.streams || [];
+  const video = streams.find(stream => stream.codec_type === 'video');
+  const audio = streams.find(stream => stream.codec_type === 'audio');
+  const duration = parseFloat(info.format?.duration);
+
+  if (!Number.isFinite(duration)) {
+    throw createMediaError('PROBE_FAILED', `Could not read the duration of ${filePath}`, { tool: 'ffprobe', args, stderr });
+  }
+
+  return {
+    duration,
+    fps: video ? parseFrameRate(video.avg_frame_rate) || parseFrameRate(video.r_frame_rate) : null,
+    width: video?.width ?? null,
+    height: video?.height ?? null,
+    hasVideo: Boolean(video),
+    hasAudio: Boolean(audio),
+    sampleRate: audio ? Number(audio.sample_rate) || null : null,
+    streams,
+    format: info.format
+  };
+}
+
+/**
+ * Gets the duration of a media file in seconds.
+ * @returns {Promise<number>}
+ */
+async function getVideoDuration(filePath) {
+  return (await probeMedia(filePath)).duration;
+}
+
+/**
+ * Quotes a filter option value for use inside a filtergraph (-vf / -filter_complex):
+ * once for the option parser and once for the graph parser, so quotes, colons,
+ * commas and brackets in text, paths or expressions are taken literally.
+ */
+function escapeFilterValue(value) {
+  const quoted = `'${String(value).replace(/'/g, "'\\''")}'`;
+  return quoted.replace(/[\\'[\],;]/g, '\\$&');
+}
+
+/**
+ * Rounds a pixel size to the nearest even number (libx264 needs even dimensions).
+ */
+function even(value) {
+  return Math.max(2, Math.round(value / 2) * 2);
+}
+
+/**
+ * Builds an atempo chain for any speed factor; a single atempo only accepts 0.5–2.
+ */
+function buildAtempo(speed) {
+  const filters = [];
+  let remaining = speed;
+  while (remaining < 0.5) {
+    filters.push('atempo=0.5');
+    remaining /= 0.5;
+  }
+  while (remaining > 2) {
+    filters.push('atempo=2');
+    remaining /= 2;
+  }
+  filters.push(`atempo=${remaining}`);
+  return filters.join(',');
+}
+
+/**
+ * Builds the audio filters that retime a segment by `speed`:
+ * "preserve" keeps the pitch (atempo), "pitch" lets it rise or fall with the
+ * speed like a tape, and "mute" silences the segment.
+ */
+function buildAudioSpeed(speed, mode = 'preserve', sampleRate = 48000) {
+  if (mode === 'pitch') {
+    return [`asetrate=${Math.round(sampleRate * speed)}`, `aresample=${sampleRate}`];
+  }
+  const tempo = speed === 1 ? [] : [buildAtempo(speed)];
+  return mode === 'mute' ? [...tempo, 'volume=0'] : tempo;
+}
+
+/**
+ * Builds -filter_complex/-map arguments that trim { start, end, speed, audio }
+ * segments out of input 0, retime each one and join them in a single frame-exact
+ * encode. Leave `end` null for a segment that runs to the end of the input;
+ * `audio` is a buildAudioSpeed mode.
+ */
+function buildSegmentsFilter(segments, { fps, hasAudio, sampleRate }) {
+  const graph = [];
+  const labels = [];
+
+  segments.forEach(({ start, end = null, speed = 1, audio = 'preserve' }, i) => {
+    const videoRange = `start=${toFFmpegSeconds(start, fps)}${end === null ? '' : `:end=${toFFmpegSeconds(end, fps)}`}`;
+    graph.push(`[0:v]trim=${videoRange},setpts=(PTS-STARTPTS)/${speed}[v${i}]`);
+    labels.push(`[v${i}]`);
+
+    if (hasAudio) {
+      const audioRange = `start=${start}${end === null ? '' : `:end=${end}`}`;
+      const retime = buildAudioSpeed(speed, audio, sampleRate || undefined);
+      graph.push(`[0:a]${[`atrim=${audioRange}`, 'asetpts=PTS-STARTPTS', ...retime].join(',')}[a${i}]`);
+      labels.push(`[a${i}]`);
+    }
+  });
+
+  graph.push(`${labels.join('')}concat=n=${segments.length}:v=1:a=${hasAudio ? 1 : 0}[v]${hasAudio ? '[a]' : ''}`);
+  return ['-filter_complex', graph.join(';'), '-map', '[v]', ...(hasAudio ? ['-map', '[a]'] : [])];
+}
+
+/**
+ * Finds the silent spans of a file's first audio stream with silencedetect.
+ * `noise` is the threshold in dB and `minDuration` the shortest silence in seconds.
+ * A silence still open at the end of the file closes at `duration`.
+ * @returns {Promise<{ start: number, end: number }[]>}
+ */
+async function detectSilence(inputPath, { noise = -35, minDuration = 0.5, duration, ...progress } = {}) {
+  const spans = [];
+  let output = '';
+  await runFFmpeg([
+    '-nostdin', '-hide_banner', '-threads', '1',
+    '-i', inputPath,
+    '-map', '0:a:0', '-af', `silencedetect=noise=${noise}dB:d=${minDuration}`,
+    '-f', 'null', '-'
+  ], { ...progress, duration, onStderr: chunk => { output += chunk; } });
+
+  for (const [, key, value] of output.matchAll(/silence_(start|end):\s*(-?\d+(?:\.\d+)?)/g)) {
+    if (key === 'start') {
+      spans.push({ start: Math.max(0, Number(value)), end: null });
+    } else if (spans.length > 0 && spans[spans.length - 1].end === null) {
+      spans[spans.length - 1].end = Number(value);
+    }
+  }
+
+  return spans.map(span => ({ start: span.start, end: span.end ?? duration }));
+}
+
+/**
+ * Parses the last "time=HH:MM:SS.xx" value from an ffmpeg stderr chunk.
+ */
+function parseFFmpegTime(chunk) {
+  const matches = [...chunk.matchAll(/time=\s*(\d+):(\d{2}):(\d{2}(?:\.\d+)?)/g)];
+  if (matches.length === 0) return null;
+
+  const [, h, m, s] = matches[matches.length - 1];
+  return (Number(h) * 3600) + (Number(m) * 60) + Number(s);
+}
+
+/**
+ * Narrows a { job, from, to } progress range to the [start, end] percent slice of it.
+ */
+function progressSlice({ job, from = 0, to = 100 } = {}, start, end) {
+  return {
+    job,
+    from: from + ((to - from) * start) / 100,
+    to: from + ((to - from) * end) / 100
+  };
+}
+
+/**
+ * Runs ffmpeg and resolves with { stderr } when it exits cleanly.
+ * When a job and the expected output duration are given, progress is mapped
+ * onto the job's [from, to] percent range as ffmpeg reports its position.
+ * Rejects with a MediaError on a non-zero exit, timeout, cancellation or spawn failure.
+ * @param {string[]} args
+ * @param {RunOptions} [options]
+ * @returns {Promise<{ stderr: string }>}
+ */
+async function runFFmpeg(args, {
+  job, duration, from = 0, to = 100, timeoutMs = FFMPEG_TIMEOUT_MS, signal = job?.controller.signal, onStderr
+} = {}) {
+  const trackProgress = job && duration > 0
+    ? chunk => {
+      const position = parseFFmpegTime(chunk);
+      if (position !== null) {
+        reportProgress(job, from + ((to - from) * Math.min(1, position / duration)));
+      }
+    }
+    : undefined;
+  const handleStderr = trackProgress && onStderr
+    ? chunk => { trackProgress(chunk); onStderr(chunk); }
+    : trackProgress || onStderr;
+
+  try {
+    const { stderr } = await runTool('ffmpeg', args, { timeoutMs, signal, onStderr: handleStderr });
+    if (job) reportProgress(job, to);
+    return { stderr };
+  } catch (err) {
+    console.error(`📼 FFmpeg failed (${err.code}), stderr (tail):`, err.stderr);
+    throw err;
+  }
+}
+
+export {
+  FFMPEG_TIMEOUT_MS, FFPROBE_TIMEOUT_MS, MIN_SPEED, MAX_SPEED,
+  createMediaError, runTool, probeMedia, getVideoDuration, escapeFilterValue, even,
+  buildAtempo, buildAudioSpeed, buildSegmentsFilter, detectSilence, parseFFmpegTime, progressSlice, runFFmpeg
+};
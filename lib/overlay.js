@@ -0,0 +1,286 @@
+// ============================
+// Overlay Positioning
+// ============================
+import { escapeFilterValue } from './media.js';
+import { findStyledFontFile } from './fonts.js';
+
+const POSITIONS = ['top-left', 'top-center', 'top-right', 'bottom-left', 'bottom-center', 'bottom-right', 'center'];
+
+/**
+ * Returns the x and y coordinates based on a named position.
+ * `w` and `h` name the overlaid item's size in the filter's expressions
+ * (text_w/text_h for drawtext, overlay_w/overlay_h for the overlay filter).
+ */
+function getPositionXY(position, { w = 'text_w', h = 'text_h' } = {}) {
+  const positions = {
+    "top-left": { x: 20, y: 20 },
+    "top-center": { x: `(main_w-${w})/2`, y: 20 },
+    "top-right": { x: `main_w-${w}-20`, y: 20 },
+    "bottom-left": { x: 20, y: `main_h-${h}-20` },
+    "bottom-center": { x: `(main_w-${w})/2`, y: `main_h-${h}-20` },
+    "bottom-right": { x: `main_w-${w}-20`, y: `main_h-${h}-20` },
+    "center": { x: `(main_w-${w})/2`, y: `(main_h-${h})/2` }
+  };
+
+  if (positions[position]) {
+    return positions[position];
+  }
+
+  return positions["center"];
+}
+
+// ============================
+// Text Overlay Specs
+// ============================
+
+const SLIDE_DIRECTIONS = ['left', 'right', 'top', 'bottom'];
+// Color names accepted besides #RRGGBB / #RRGGBBAA (all known to ffmpeg)
+const COLOR_NAMES = [
+  'white', 'black', 'red', 'green', 'blue', 'yellow', 'cyan', 'magenta', 'orange', 'purple',
+  'pink', 'gray', 'grey', 'brown', 'navy', 'gold', 'silver'
+];
+
+const colorSchema = { type: 'string', pattern: `^(#[0-9a-fA-F]{6}([0-9a-fA-F]{2})?|${COLOR_NAMES.join('|')})$` };
+// A coordinate in pixels, or a percentage of the video's width/height ("25%")
+const coordinateSchema = { anyOf: [{ type: 'number' }, { type: 'string', pattern: '^-?\\d+(\\.\\d+)?%$' }] };
+
+// One text overlay; add_overlay renders a list of them
+const textOverlaySchema = {
+  type: 'object',
+  properties: {
+    text: { type: 'string', minLength: 1, maxLength: 500 },
+    font: { type: 'string', minLength: 1 },
+    bold: { type: 'boolean' },
+    italic: { type: 'boolean' },
+    size: { type: 'integer', minimum: 8, maximum: 400 },
+    color: colorSchema,
+    opacity: { type: 'number', minimum: 0, maximum: 1 },
+    box: { type: 'boolean' },
+    box_color: colorSchema,
+    box_opacity: { type: 'number', minimum: 0, maximum: 1 },
+    box_padding: { type: 'integer', minimum: 0, maximum: 100 },
+    outline: { type: 'number', minimum: 0, maximum: 20 },
+    outline_color: colorSchema,
+    shadow: { type: 'boolean' },
+    shadow_color: colorSchema,
+    position: { enum: POSITIONS },
+    x: coordinateSchema,
+    y: coordinateSchema,
+    start: { type: 'string', format: 'time-expression' },
+    end: { type: 'string', format: 'time-expression' },
+    range: { type: 'string', format: 'range-expression' },
+    duration: { type: 'number', exclusiveMinimum: 0 },
+    fade_in: { type: 'number', minimum: 0 },
+    fade_out: { type: 'number', minimum: 0 },
+    slide_in: { enum: SLIDE_DIRECTIONS },
+    slide_out: { enum: SLIDE_DIRECTIONS },
+    slide_duration: { type: 'number', exclusiveMinimum: 0, maximum: 5 }
+  },
+  required: ['text']
+};
+
+/**
+ * Converts a color name or #RRGGBB[AA] into an ffmpeg color, with an optional opacity.
+ */
+function toFFmpegColor(color, opacity = 1) {
+  const value = color.startsWith('#') ? `0x${color.slice(1)}` : color;
+  return opacity < 1 ? `${value}@${opacity}` : value;
+}
+
+/**
+ * Turns a coordinate (pixels or "25%") into a drawtext expression; `axis` is main_w or main_h.
+ */
+function coordinateExpression(value, axis) {
+  return typeof value === 'string' && value.endsWith('%')
+    ? `${axis}*${Number(value.slice(0, -1)) / 100}`
+    : `${Number(value)}`;
+}
+
+/**
+ * Offset expression that moves text in from (or out to) one edge of the frame
+ * over `duration` seconds at the start (or end) of its window.
+ */
+function slideExpression(direction, { x, y, start, end, duration, leaving }) {
+  const share = leaving ? `(t-${end - duration})/${duration}` : `(1-(t-${start})/${duration})`;
+  const active = leaving ? `gt(t,${end - duration})` : `lt(t,${start + duration})`;
+  const distance = {
+    left: `-((${x})+text_w)`,
+    right: `(main_w-(${x}))`,
+    top: `-((${y})+text_h)`,
+    bottom: `(main_h-(${y}))`
+  }[direction];
+  return `if(${active},${distance}*${share},0)`;
+}
+
+/**
+ * Picks a bold/italic face for text that names no font from the installed
+ * fonts. ffmpeg may be built without fontconfig, so a style with no installed
+ * face is dropped with a warning instead of being asked of fontconfig.
+ */
+function defaultFontOptions({ text, bold, italic }) {
+  if (!bold && !italic) return {};
+  const fontFile = findStyledFontFile({ bold, italic });
+  if (fontFile) return { fontfile: fontFile };
+  console.warn(`⚠️ No ${[bold && 'bold', italic && 'italic'].filter(Boolean).join(' ')} font installed, drawing '${text}' in the regular face`);
+  return {};
+}
+
+/**
+ * Builds the drawtext filter for one overlay spec, already shown in `window`
+ * ({ start, end } seconds). Text, font paths and expressions are escaped, so
+ * quotes, colons and commas in the text are drawn as typed.
+ */
+function buildDrawtextFilter(overlay, { start, end }, { height, wholeVideo, fontFile }) {
+  const size = overlay.size || Math.max(12, Math.round(height / 15));
+  const named = getPositionXY(overlay.position || 'center');
+  const x = overlay.x === undefined ? named.x : coordinateExpression(overlay.x, 'main_w');
+  const y = overlay.y === undefined ? named.y : coordinateExpression(overlay.y, 'main_h');
+
+  const slide = overlay.slide_duration || 0.5;
+  const dx = [];
+  const dy = [];
+  for (const [direction, leaving] of [[overlay.slide_in, false], [overlay.slide_out, true]]) {
+    if (!direction) continue;
+    const offset = slideExpression(direction, { x, y, start, end, duration: slide, leaving });
+    (direction === 'left' || direction === 'right' ? dx : dy).push(offset);
+  }
+
+  const opacity = overlay.opacity ?? 1;
+  const fadeIn = overlay.fade_in || 0;
+  const fadeOut = overlay.fade_out || 0;
+  const fade = fadeIn || fadeOut
+    ? `if(lt(t,${start + fadeIn}),(t-${start})/${fadeIn || 1},if(gt(t,${end - fadeOut}),(${end}-t)/${fadeOut || 1},1))`
+    : null;
+
+  const options = {
+    text: overlay.text,
+    expansion: 'none',
+    ...(fontFile ? { fontfile: fontFile } : defaultFontOptions(overlay)),
+    fontsize: size,
+    fontcolor: toFFmpegColor(overlay.color || 'white'),
+    x: dx.length ? `${x}+${dx.join('+')}` : x,
+    y: dy.length ? `${y}+${dy.join('+')}` : y
+  };
+  if (fade) options.alpha = opacity < 1 ? `${opacity}*${fade}` : fade;
+  else if (opacity < 1) options.alpha = opacity;
+  if (overlay.box) {
+    Object.assign(options, {
+      box: 1,
+      boxcolor: toFFmpegColor(overlay.box_color || 'black', overlay.box_opacity ?? 0.5),
+      boxborderw: overlay.box_padding ?? Math.round(size / 4)
+    });
+  }
+  if (overlay.outline) {
+    Object.assign(options, { borderw: overlay.outline, bordercolor: toFFmpegColor(overlay.outline_color || 'black') });
+  }
+  if (overlay.shadow) {
+    const offset = Math.max(2, Math.round(size / 24));
+    Object.assign(options, { shadowx: offset, shadowy: offset, shadowcolor: toFFmpegColor(overlay.shadow_color || 'black', 0.6) });
+  }
+  if (!wholeVideo) options.enable = `between(t,${start},${end})`;
+
+  return `drawtext=${Object.entries(options).map(([key, value]) => `${key}=${escapeFilterValue(value)}`).join(':')}`;
+}
+
+// ============================
+// Prompt Parsing for Overlays
+// ============================
+
+/**
+ * Parses a natural language overlay prompt into structured overlay command data.
+ */
+function parseOverlayPrompt(prompt) {
+  const result = {
+    text: '',
+    start_time: 0,
+    duration: 3,
+    color: 'white',
+    position: 'center',
+    bold: false,
+    fontsize: 64
+  };
+
+  // Font size
+  const fontSizeMap = {
+    "small": 24,
+    "medium": 36,
+    "large": 48,
+    "big": 48,
+    "huge": 60,
+    "extra large": 80
+  };
+  const fontSizeMatch = prompt.match(/(extra large|huge|big|large|medium|small)/i);
+  if (fontSizeMatch) {
+    const sizeKey = fontSizeMatch[1].toLowerCase();
+    result.fontsize = fontSizeMap[sizeKey];
+  }
+
+  // Extract quoted or fallback text
+  const quoteMatch = prompt.match(/['"](.+?)['"]/);
+  const rawTextMatch = prompt.match(/(?:add|put)\s+([a-zA-Z0-9!?,.' ]+)/i);
+  if (quoteMatch) {
+    result.text = quoteMatch[1];
+  } else if (rawTextMatch) {
+    result.text = rawTextMatch[1];
+  } else {
+    result.text = 'Text';
+  }
+
+  // Time extraction
+  const timeMatch = prompt.match(/(?:at|minute)\s*(\d{1,2}):?(\d{2})?/i);
+  const endMatch = /at (the end|end of the video)/i.test(prompt);
+  const startMatch = /at (the start|start of the video)/i.test(prompt);
+
+  if (timeMatch) {
+    const minutes = parseInt(timeMatch[1]) || 0;
+    const seconds = parseInt(timeMatch[2]) || 0;
+    result.start_time = (minutes * 60) + seconds;
+  } else if (endMatch) {
+    result.start_time = "END";
+  } else if (startMatch) {
+    result.start_time = 0;
+  }
+
+  // Duration
+  const durationMatch = prompt.match(/for (\d+) seconds/);
+  if (durationMatch) {
+    result.duration = parseInt(durationMatch[1]);
+  }
+
+  // Color
+  const knownColors = ['red', 'blue', 'green', 'white', 'black', 'yellow', 'purple', 'orange', 'pink', 'gray'];
+  const colorMatch = prompt.match(/in (\w+)/i);
+  if (colorMatch) {
+    const potentialColor = colorMatch[1].toLowerCase();
+    if (knownColors.includes(potentialColor)) {
+      result.color = potentialColor;
+    }
+  }
+
+  // Position
+  const posMatch = prompt.match(/(top-left|top-right|top-center|bottom-left|bottom-right|bottom-center|center)/i);
+  if (posMatch) {
+    result.position = posMatch[1].toLowerCase();
+  } else {
+    if (/top/i.test(prompt)) result.position = "top-center";
+    if (/bottom/i.test(prompt)) result.position = "bottom-center";
+    if (/left/i.test(prompt)) result.position = "top-left";
+    if (/right/i.test(prompt)) result.position = "top-right";
+  }
+
+  // Bold
+  if (/bold/i.test(prompt)) {
+    result.bold = true;
+  }
+
+  // Normalize aliases like "left" → "top-left"
+  if (result.position === "right") result.position = "top-right";
+  if (result.position === "left") result.position = "top-left";
+  if (result.position === "bottom") result.position = "bottom-center";
+  if (result.position === "top") result.position = "top-center";
+
+  console.log("🧠 Parsed Overlay:", result);
+  return result;
+}
+
+export { POSITIONS, SLIDE_DIRECTIONS, textOverlaySchema, toFFmpegColor, getPositionXY, buildDrawtextFilter, parseOverlayPrompt };
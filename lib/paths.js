@@ -0,0 +1,93 @@
+// ============================
+// Safe Paths Setup
+// ============================
+import path from 'path';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const rootDir = path.join(path.dirname(__filename), '..');
+
+const ensureDirExists = (dirPath) => {
+  if (!fs.existsSync(dirPath)) fs.mkdirSync(dirPath, { recursive: true });
+};
+
+const uploadDir = path.join(rootDir, 'uploads', 'videos');
+const cutsDir = path.join(rootDir, 'uploads', 'cuts');
+const audioDir = path.join(rootDir, 'uploads', 'audio');
+const imagesDir = path.join(rootDir, 'uploads', 'images');
+const tracksDir = path.join(rootDir, 'uploads', 'tracks');
+const subtitlesDir = path.join(rootDir, 'uploads', 'subtitles');
+const transcriptsDir = path.join(rootDir, 'uploads', 'transcripts');
+const sessionsDir = path.join(rootDir, 'uploads', 'sessions');
+const downloadDir = path.join(rootDir, 'downloads');
+const tempDir = path.join(rootDir, 'temp'); // for temporary work
+const fontsDir = process.env.FONTS_DIR || path.join(rootDir, 'fonts'); // .ttf/.otf files for text overlays
+const templatesDir = process.env.TEMPLATES_DIR || path.join(rootDir, 'templates'); // intro/outro/lower-third templates
+
+[
+  uploadDir, cutsDir, audioDir, imagesDir, tracksDir, subtitlesDir, transcriptsDir, sessionsDir, downloadDir, tempDir,
+  fontsDir, templatesDir
+].forEach(ensureDirExists);
+
+// ============================
+// File/Video Utility
+// ============================
+
+/**
+ * Returns true when a client-supplied filename is a bare name (no path segments).
+ */
+function isSafeFilename(filename) {
+  return typeof filename === 'string' && filename.length > 0 &&
+    !['..', '/', '\\'].some(c => filename.includes(c));
+}
+
+/**
+ * Checks common directories for the video file and returns the full path if found.
+ */
+function getVideoPath(filename) {
+  const searchDirs = [uploadDir, cutsDir];
+  for (const dir of searchDirs) {
+    const fullPath = path.join(dir, filename);
+    console.log("🔎 Checking:", fullPath);
+
+    if (fs.existsSync(fullPath)) {
+      return fullPath;
+    }
+  }
+
+  console.warn("❌ File not found:", filename);
+  return null;
+}
+
+/**
+ * Returns the full path of an uploaded overlay image, or null when it does not exist.
+ */
+function getImagePath(filename) {
+  const fullPath = path.join(imagesDir, filename);
+  return fs.existsSync(fullPath) ? fullPath : null;
+}
+
+/**
+ * Returns the full path of an uploaded music or voice-over track, or null when it does not exist.
+ */
+function getTrackPath(filename) {
+  const fullPath = path.join(tracksDir, filename);
+  return fs.existsSync(fullPath) ? fullPath : null;
+}
+
+/**
+ * Returns the public URL for a video stored in uploads/videos or uploads/cuts.
+ */
+function getVideoUrl(filename) {
+  if (fs.existsSync(path.join(uploadDir, filename))) {
+    return `/uploads/videos/${filename}`;
+  }
+  return `/uploads/cuts/${filename}`;
+}
+
+export {
+  rootDir, ensureDirExists,
+  uploadDir, cutsDir, audioDir, imagesDir, tracksDir, subtitlesDir, transcriptsDir, sessionsDir, downloadDir, tempDir, fontsDir,
+  templatesDir, isSafeFilename, getVideoPath, getImagePath, getTrackPath, getVideoUrl
+};
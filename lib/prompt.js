@@ -0,0 +1,225 @@
+// ============================
+// Prompt Parsing (LLM + local fallback)
+// ============================
+import { getChatProvider } from './providers/index.js';
+import { createHttpError } from './errors.js';
+import { getAction, listActions, validateActionParams } from './actions/index.js';
+import { parsePromptLocally } from './local-parser.js';
+
+const PROMPT_REPAIR_RETRIES = Number(process.env.PROMPT_REPAIR_RETRIES ?? 2);
+const PROMPT_PARSERS = ['llm', 'local', 'auto'];
+const DEFAULT_PROMPT_PARSER = PROMPT_PARSERS.includes(process.env.PROMPT_PARSER) ? process.env.PROMPT_PARSER : 'auto';
+
+const TIMESTAMP_RULES = [
+  'HH:MM:SS, with milliseconds when the user gives fractions of a second: "1:05.25" → 00:01:05.250',
+  'Plain seconds are allowed: "65.25"',
+  'Frame numbers are written "f:<frame>": "frame 1500" → f:1500',
+  '"start" or "beginning" → 00:00:00',
+  '"end" → end of video',
+  '"end-00:00:10" → 10 seconds before the end',
+  'Percentages of the video length: "30%"; "end-10%" → 10% before the end',
+  '"start+00:00:05" → 5 seconds after the beginning',
+  'An "end" of "+00:00:15" means 15 seconds after "start": "from 1:20 for 15 seconds" → start 00:01:20, end +00:00:15'
+];
+
+const RANGE_RULES = [
+  '"whole", "first 30%", "last 00:00:20", "last minute", "first 15 seconds"',
+  '"first half", "second half", "middle third", "last quarter" (first/second/third/fourth/middle/last + half/third/quarter)'
+];
+
+const GENERAL_RULES = [
+  'Always respond with pure JSON: { "actions": [ { ... } ] }',
+  'If the prompt asks for several edits, return one action per edit, in the order they should run',
+  'Only use the fields listed for each action'
+];
+
+const GENERAL_EXAMPLES = [
+  {
+    prompt: 'Cut the first 10 seconds then add subtitles',
+    actions: [{ action: 'cut', start: '00:00:00', end: '00:00:10' }, { action: 'add_subtitles' }]
+  },
+  {
+    prompt: 'Remove the middle third',
+    actions: [{ action: 'remove_segment', range: 'middle third' }]
+  },
+  {
+    prompt: 'Slow down 1:20 for 15 seconds',
+    actions: [{ action: 'slow_motion', start: '00:01:20', end: '+00:00:15', speed: 0.5 }]
+  }
+];
+
+/**
+ * Lists the parameters an action accepts, e.g. " (fields: start, end, speed)".
+ */
+function describeFields(action) {
+  const fields = Object.keys(action.schema.properties || {});
+  return fields.length > 0 ? ` (fields: ${fields.join(', ')})` : '';
+}
+
+/**
+ * Builds the parser system prompt from the action registry.
+ */
+function buildSystemPrompt() {
+  const actions = listActions();
+  const rules = [...GENERAL_RULES, ...actions.flatMap(action => action.rules)];
+  const examples = [...actions.flatMap(action => action.examples), ...GENERAL_EXAMPLES];
+
+  return [
+    'You are a strict parser for a video-editing CLI. Output pure JSON only.',
+    '---',
+    'Available actions:',
+    ...actions.map(action => `• ${action.name} — ${action.description}${describeFields(action)}`),
+    '---',
+    'Timestamps must be one of these forms:',
+    ...TIMESTAMP_RULES.map(rule => `• ${rule}`),
+    '---',
+    'Actions with "start"/"end" also accept "range" instead, naming a whole span:',
+    ...RANGE_RULES.map(rule => `• ${rule}`),
+    '---',
+    'Rules:',
+    ...rules.map(rule => `- ${rule}`),
+    '---',
+    'Examples:',
+    ...examples.map(example => `- “${example.prompt}”\n  → ${JSON.stringify({ actions: example.actions })}`)
+  ].join('\n');
+}
+
+/**
+ * Parses and validates one raw model reply.
+ * Returns { actions, errors }; errors are { index, action, field, message } and
+ * actions are normalized to registered names when the reply is valid.
+ */
+function validateModelReply(reply) {
+  // Remove markdown formatting if any
+  const cleaned = (reply || '').replace(/```json/g, '').replace(/```/g, '').trim();
+
+  let parsed;
+  try {
+    parsed = JSON.parse(cleaned);
+  } catch (err) {
+    return { actions: null, errors: [{ field: '', message: `response is not valid JSON (${err.message})` }] };
+  }
+
+  if (!parsed || !Array.isArray(parsed.actions) || parsed.actions.length === 0) {
+    return { actions: null, errors: [{ field: 'actions', message: 'must be a non-empty array' }] };
+  }
+
+  return validateActions(parsed.actions);
+}
+
+/**
+ * Strictly validates a list of { action, ...params } objects against the registry.
+ * Returns { actions, errors } like validateModelReply.
+ */
+function validateActions(list) {
+  const errors = [];
+  const actions = list.map((act, index) => {
+    const action = act && typeof act === 'object' ? getAction(act.action) : null;
+    if (!action) {
+      errors.push({ index, action: act?.action, field: 'action', message: `'${act?.action}' is not a supported action` });
+      return null;
+    }
+
+    const { action: _, ...params } = act;
+    validateActionParams(action, params, { strict: true })
+      .forEach(err => errors.push({ index, action: action.name, ...err }));
+
+    return { action: action.name, ...params };
+  });
+
+  return { actions: errors.length === 0 ? actions : null, errors };
+}
+
+/**
+ * Formats validation errors as the follow-up message asking the model to repair its reply.
+ */
+function buildRepairMessage(errors) {
+  const lines = errors.map(err => {
+    const where = err.index === undefined ? '' : `actions[${err.index}]${err.field ? `.${err.field}` : ''}: `;
+    return `- ${where || (err.field ? `${err.field}: ` : '')}${err.message}`;
+  });
+
+  return [
+    'Your previous response was invalid:',
+    ...lines,
+    'Respond again with the corrected JSON only.'
+  ].join('\n');
+}
+
+/**
+ * Sends a natural language prompt to the chat provider and returns the validated actions array.
+ * Invalid replies are sent back to the model with the validation errors, up to
+ * PROMPT_REPAIR_RETRIES times, before giving up with a 422 carrying those errors.
+ * Aliases (e.g. "trim") are normalized to the registered action name.
+ */
+async function parsePromptToActions(prompt) {
+  const provider = getChatProvider();
+  const messages = [
+    { role: "system", content: buildSystemPrompt() },
+    { role: "user", content: prompt }
+  ];
+
+  let errors = [];
+  for (let attempt = 0; attempt <= PROMPT_REPAIR_RETRIES; attempt++) {
+    const gptResponse = await provider.chat(messages);
+    console.log(`GPT Response (${provider.name}):`, gptResponse);
+
+    const result = validateModelReply(gptResponse);
+    if (result.errors.length === 0) {
+      return result.actions;
+    }
+
+    errors = result.errors;
+    console.warn(`🔁 Invalid parser reply (attempt ${attempt + 1}):`, errors);
+    messages.push(
+      { role: "assistant", content: gptResponse || '' },
+      { role: "user", content: buildRepairMessage(errors) }
+    );
+  }
+
+  throw createHttpError(422, 'Could not turn the prompt into valid actions.', errors);
+}
+
+/**
+ * Parses a prompt with the offline rule-based parser and validates the result
+ * the same way as a model reply. Throws a 422 listing the clauses it could not handle.
+ */
+function parsePromptOffline(prompt) {
+  const local = parsePromptLocally(prompt);
+  const result = local.errors.length === 0 ? validateActions(local.actions) : local;
+  if (result.errors.length > 0) {
+    throw createHttpError(422, 'The local parser could not understand the prompt.', result.errors);
+  }
+  return result.actions;
+}
+
+/**
+ * Parses a prompt with the requested parser ("llm", "local" or "auto", default
+ * PROMPT_PARSER or "auto") and returns { actions, parser } naming the parser used
+ * (plus `provider` when the LLM answered).
+ * "auto" uses the LLM when it is configured and falls back to the local parser when it fails.
+ */
+async function parsePrompt(prompt, { parser = DEFAULT_PROMPT_PARSER } = {}) {
+  if (!PROMPT_PARSERS.includes(parser)) {
+    throw createHttpError(400, `Unknown parser '${parser}'. Use one of: ${PROMPT_PARSERS.join(', ')}.`);
+  }
+
+  const provider = getChatProvider();
+  if (parser === 'local' || (parser === 'auto' && !provider)) {
+    return { actions: parsePromptOffline(prompt), parser: 'local' };
+  }
+
+  if (!provider) {
+    throw createHttpError(503, 'The LLM parser is not configured (set LLM_PROVIDER or OPENAI_API_KEY).');
+  }
+
+  try {
+    return { actions: await parsePromptToActions(prompt), parser: 'llm', provider: provider.name };
+  } catch (err) {
+    if (parser === 'llm') throw err;
+    console.warn('⚠️ LLM parser failed, falling back to the local parser:', err.message);
+    return { actions: parsePromptOffline(prompt), parser: 'local' };
+  }
+}
+
+export { buildSystemPrompt, validateModelReply, parsePromptToActions, parsePrompt };
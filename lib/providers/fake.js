@@ -0,0 +1,71 @@
+// ============================
+// Provider: fake
+// ============================
+// Offline stand-in for tests and demos. Chat replies are canned: FAKE_LLM_REPLY
+// when set, otherwise the local parser's reading of the user's prompt.
+// Subtitle translation requests get each line back tagged with the language.
+// Transcriptions come from FAKE_TRANSCRIPT_FILE or a built-in SRT; word
+// timestamps are spread evenly over each cue of that transcript.
+import fs from 'fs';
+import { parsePromptLocally } from '../local-parser.js';
+import { parseSrt, cuesToWords } from '../transcript.js';
+
+const DEFAULT_TRANSCRIPT = [
+  '1',
+  '00:00:00,000 --> 00:00:02,000',
+  'This is a sample transcript.',
+  '',
+  '2',
+  '00:00:02,000 --> 00:00:04,000',
+  'It was produced by the fake provider.',
+  ''
+].join('\n');
+
+/**
+ * Returns { language, lines } when the message is a subtitle translation request, otherwise null.
+ */
+function readTranslationRequest(content) {
+  try {
+    const request = JSON.parse(content);
+    return typeof request?.language === 'string' && Array.isArray(request.lines) ? request : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Creates the fake provider. It ignores the model and connection settings.
+ */
+function createFakeProvider() {
+  return {
+    name: 'fake',
+
+    async chat(messages) {
+      if (process.env.FAKE_LLM_REPLY) return process.env.FAKE_LLM_REPLY;
+
+      // Repair turns are appended after the original prompt, so always answer the first one
+      const prompt = messages.find(message => message.role === 'user')?.content || '';
+      const translation = readTranslationRequest(prompt);
+      if (translation) {
+        return JSON.stringify({ lines: translation.lines.map(line => `[${translation.language}] ${line}`) });
+      }
+
+      const { actions } = parsePromptLocally(prompt);
+      return JSON.stringify({ actions });
+    },
+
+    async transcribe() {
+      const file = process.env.FAKE_TRANSCRIPT_FILE;
+      return file ? fs.readFileSync(file, 'utf8') : DEFAULT_TRANSCRIPT;
+    },
+
+    async transcribeWords(filePath) {
+      return cuesToWords(parseSrt(await this.transcribe(filePath)));
+    }
+  };
+}
+
+export default {
+  name: 'fake',
+  create: createFakeProvider
+};
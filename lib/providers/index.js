@@ -0,0 +1,75 @@
+// ============================
+// LLM Provider Registry
+// ============================
+// A provider module default-exports { name, create(config) }. create() returns:
+//   chat(messages)       – resolves with the assistant reply text
+//   transcribe(filePath, { prompt }) – resolves with an SRT transcript of the audio file
+//   transcribeWords(filePath, { prompt }) – resolves with [{ word, start, end }] (seconds)
+// The optional prompt lists vocabulary (brand names, jargon) the speech may contain.
+// Chat and transcription are configured separately so they can use different servers:
+//   LLM_PROVIDER, LLM_BASE_URL, LLM_API_KEY, LLM_CHAT_MODEL
+//   TRANSCRIBE_PROVIDER, TRANSCRIBE_BASE_URL, TRANSCRIBE_API_KEY, TRANSCRIBE_MODEL
+// The TRANSCRIBE_* settings fall back to the LLM_* ones, which fall back to
+// OPENAI_API_KEY / OPENAI_BASE_URL.
+import openai from './openai.js';
+import fake from './fake.js';
+
+const providers = new Map([openai, fake].map(provider => [provider.name, provider]));
+
+/**
+ * Resolves a provider name from the environment: an explicit name wins,
+ * otherwise "openai" is used whenever a key or base URL is configured.
+ * Returns null when nothing is configured (or the name is "none").
+ */
+function resolveProviderName(name, { apiKey, baseURL }) {
+  if (name) return name === 'none' ? null : name;
+  return apiKey || baseURL ? 'openai' : null;
+}
+
+/**
+ * Builds a provider instance, or null when none is configured.
+ */
+function createProvider(name, config) {
+  const resolved = resolveProviderName(name, config);
+  if (!resolved) return null;
+
+  const provider = providers.get(resolved);
+  if (!provider) {
+    throw new Error(`Unknown LLM provider '${resolved}'. Use one of: ${[...providers.keys()].join(', ')}, none.`);
+  }
+  return provider.create(config);
+}
+
+const env = process.env;
+const llmConfig = {
+  baseURL: env.LLM_BASE_URL || env.OPENAI_BASE_URL || undefined,
+  apiKey: env.LLM_API_KEY || env.OPENAI_API_KEY || undefined,
+  chatModel: env.LLM_CHAT_MODEL || 'gpt-4o',
+  transcriptionModel: env.TRANSCRIBE_MODEL || 'whisper-1'
+};
+const transcriptionConfig = {
+  ...llmConfig,
+  baseURL: env.TRANSCRIBE_BASE_URL || llmConfig.baseURL,
+  apiKey: env.TRANSCRIBE_API_KEY || llmConfig.apiKey
+};
+
+const chatProvider = createProvider(env.LLM_PROVIDER, llmConfig);
+const transcriptionProvider = createProvider(env.TRANSCRIBE_PROVIDER || env.LLM_PROVIDER, transcriptionConfig);
+
+console.log(`🤖 Chat provider: ${chatProvider?.name || 'none'} · transcription provider: ${transcriptionProvider?.name || 'none'}`);
+
+/**
+ * Returns the provider used for prompt parsing, or null when none is configured.
+ */
+function getChatProvider() {
+  return chatProvider;
+}
+
+/**
+ * Returns the provider used for speech-to-text, or null when none is configured.
+ */
+function getTranscriptionProvider() {
+  return transcriptionProvider;
+}
+
+export { getChatProvider, getTranscriptionProvider };
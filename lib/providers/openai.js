@@ -0,0 +1,52 @@
+// ============================
+// Provider: openai
+// ============================
+// Talks to the OpenAI API or any OpenAI-compatible server (llama.cpp, Ollama,
+// vLLM, ...) when a base URL is configured.
+import fs from 'fs';
+import OpenAI from 'openai';
+
+/**
+ * Creates an OpenAI-compatible provider from { baseURL, apiKey, chatModel, transcriptionModel }.
+ */
+function createOpenAIProvider({ baseURL, apiKey, chatModel, transcriptionModel }) {
+  // Local servers usually ignore the key, but the SDK refuses to start without one
+  const client = new OpenAI({ baseURL, apiKey: apiKey || 'not-needed' });
+
+  return {
+    name: 'openai',
+
+    async chat(messages) {
+      const completion = await client.chat.completions.create({
+        model: chatModel,
+        messages
+      });
+      return completion.choices[0].message.content;
+    },
+
+    async transcribe(filePath, { prompt } = {}) {
+      return client.audio.transcriptions.create({
+        model: transcriptionModel,
+        file: fs.createReadStream(filePath),
+        response_format: 'srt',
+        ...(prompt && { prompt })
+      });
+    },
+
+    async transcribeWords(filePath, { prompt } = {}) {
+      const result = await client.audio.transcriptions.create({
+        model: transcriptionModel,
+        file: fs.createReadStream(filePath),
+        response_format: 'verbose_json',
+        timestamp_granularities: ['word'],
+        ...(prompt && { prompt })
+      });
+      return (result.words || []).map(({ word, start, end }) => ({ word, start, end }));
+    }
+  };
+}
+
+export default {
+  name: 'openai',
+  create: createOpenAIProvider
+};
@@ -0,0 +1,110 @@
+// ============================
+// Edit Sessions (Undo/Redo History)
+// ============================
+import path from 'path';
+import fs from 'fs';
+import { randomUUID } from 'crypto';
+import { sessionsDir, getVideoUrl } from './paths.js';
+
+// A session tracks every version produced while editing one video. Version files are
+// never deleted; undo/redo/jump only move the cursor, and a new edit made after
+// an undo drops the versions ahead of the cursor from the history.
+
+const sessions = new Map();
+const sessionIdRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+/**
+ * Writes a session to disk so history survives a server restart.
+ */
+function saveSession(session) {
+  const sessionPath = path.join(sessionsDir, `${session.id}.json`);
+  fs.writeFileSync(sessionPath, JSON.stringify(session, null, 2));
+}
+
+/**
+ * Creates a new session whose first version is the given video.
+ */
+function createSession(filename) {
+  const session = {
+    id: randomUUID(),
+    createdAt: new Date().toISOString(),
+    cursor: 0,
+    versions: [
+      { filename, action: 'original', params: {}, createdAt: new Date().toISOString() }
+    ]
+  };
+
+  sessions.set(session.id, session);
+  saveSession(session);
+  return session;
+}
+
+/**
+ * Looks up a session in memory, falling back to its file on disk.
+ */
+function getSession(id) {
+  if (!id || !sessionIdRegex.test(id)) return null;
+  if (sessions.has(id)) return sessions.get(id);
+
+  const sessionPath = path.join(sessionsDir, `${id}.json`);
+  if (!fs.existsSync(sessionPath)) return null;
+
+  const session = JSON.parse(fs.readFileSync(sessionPath, 'utf8'));
+  sessions.set(id, session);
+  return session;
+}
+
+/**
+ * Appends a new version after the cursor and makes it current.
+ */
+function recordVersion(session, filename, action, params = {}) {
+  session.versions = session.versions.slice(0, session.cursor + 1);
+  session.versions.push({ filename, action, params, createdAt: new Date().toISOString() });
+  session.cursor = session.versions.length - 1;
+  saveSession(session);
+  console.log(`🗂️ Session ${session.id} → v${session.cursor} (${action})`);
+}
+
+/**
+ * Moves the cursor to the given version index.
+ */
+function moveSessionCursor(session, index) {
+  session.cursor = index;
+  saveSession(session);
+}
+
+/**
+ * Builds the JSON view of a session returned to the client.
+ */
+function serializeSession(session) {
+  const current = session.versions[session.cursor];
+  return {
+    id: session.id,
+    cursor: session.cursor,
+    canUndo: session.cursor > 0,
+    canRedo: session.cursor < session.versions.length - 1,
+    current: { version: session.cursor, filename: current.filename, url: getVideoUrl(current.filename) },
+    versions: session.versions.map((v, index) => ({
+      version: index,
+      filename: v.filename,
+      url: getVideoUrl(v.filename),
+      action: v.action,
+      params: v.params,
+      createdAt: v.createdAt
+    }))
+  };
+}
+
+/**
+ * Records an edit on the session named in the request body, if any.
+ * Returns the serialized session so routes can include it in their response.
+ */
+function trackEdit(sessionId, outputFilename, action, params) {
+  const session = getSession(sessionId);
+  if (!session) return undefined;
+
+  recordVersion(session, outputFilename, action, params);
+  return serializeSession(session);
+}
+
+export { createSession, getSession, recordVersion, moveSessionCursor, serializeSession, trackEdit };
@@ -0,0 +1,56 @@
+// ============================
+// Still Images
+// ============================
+// Shared pieces of the actions that produce images instead of videos
+// (extract_frame, thumbnail, storyboard). Images go to the downloads folder.
+import path from 'path';
+import { downloadDir } from './paths.js';
+import { even } from './media.js';
+import { resolveFontFile } from './fonts.js';
+import { textOverlaySchema, buildDrawtextFilter } from './overlay.js';
+
+const IMAGE_FORMATS = ['png', 'jpg', 'jpeg'];
+// Overlay fields that only make sense over time
+const TIMED_OVERLAY_FIELDS = ['start', 'end', 'range', 'duration', 'fade_in', 'fade_out', 'slide_in', 'slide_out', 'slide_duration'];
+
+// A text overlay drawn on a still: the add_overlay spec without timing or animation
+const stillTextSchema = {
+  ...textOverlaySchema,
+  properties: Object.fromEntries(Object.entries(textOverlaySchema.properties).filter(([key]) => !TIMED_OVERLAY_FIELDS.includes(key))),
+  additionalProperties: false
+};
+
+/**
+ * Returns the output size for a still `width` pixels wide (default: the video's
+ * own width), keeping the video's aspect ratio.
+ */
+function stillSize(media, width) {
+  const outWidth = width ? even(width) : even(media.width);
+  return { width: outWidth, height: even((outWidth * media.height) / media.width) };
+}
+
+/**
+ * Returns a new output filename and path in the downloads folder; "jpeg" is saved as .jpg.
+ */
+function stillOutput(prefix, format = 'png') {
+  const ext = format === 'jpeg' ? 'jpg' : format;
+  const filename = `${prefix}-${Date.now()}-${Math.floor(Math.random() * 1e9)}.${ext}`;
+  return { filename, filePath: path.join(downloadDir, filename), url: `/downloads/${filename}` };
+}
+
+/**
+ * Returns the encoder options for one PNG or JPEG image.
+ */
+function imageEncodeArgs(format) {
+  return format === 'png' ? ['-frames:v', '1', '-update', '1'] : ['-frames:v', '1', '-update', '1', '-q:v', '2'];
+}
+
+/**
+ * Builds the drawtext filter for a text overlay on a still `height` pixels tall.
+ */
+function buildStillTextFilter(overlay, height) {
+  const fontFile = overlay.font ? resolveFontFile(overlay.font, overlay) : null;
+  return buildDrawtextFilter(overlay, { start: 0, end: 0 }, { height, wholeVideo: true, fontFile });
+}
+
+export { IMAGE_FORMATS, stillTextSchema, stillSize, stillOutput, imageEncodeArgs, buildStillTextFilter };
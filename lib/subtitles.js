@@ -0,0 +1,285 @@
+// ============================
+// Subtitle Formats & Styling
+// ============================
+// Cues are { start, end, text } in seconds (see parseSrt in transcript.js).
+// They are written as SRT, WebVTT or ASS; ASS carries the styling and is what
+// gets burned in, so every style option renders the same way through libass.
+import { createHttpError } from './errors.js';
+
+const SUBTITLE_FORMATS = ['srt', 'vtt', 'ass'];
+const SUBTITLE_POSITIONS = ['top', 'middle', 'bottom'];
+// ASS numpad alignment for each position
+const ALIGNMENT = { top: 8, middle: 5, bottom: 2 };
+// VTT "line" setting for each position (bottom is the default)
+const VTT_LINE = { top: ' line:5%', middle: ' line:50%', bottom: '' };
+const SUBTITLE_COLORS = {
+  white: 'FFFFFF', black: '000000', yellow: 'FFFF00', red: 'FF0000', green: '00FF00',
+  blue: '0000FF', cyan: '00FFFF', magenta: 'FF00FF', orange: 'FFA500', pink: 'FFC0CB', gray: '808080', grey: '808080'
+};
+
+// Subtitle languages: ISO 639-1 code, the ISO 639-2 tag containers store, and the English name
+const LANGUAGES = [
+  ['en', 'eng', 'English'], ['es', 'spa', 'Spanish'], ['fr', 'fre', 'French'], ['de', 'ger', 'German'],
+  ['it', 'ita', 'Italian'], ['pt', 'por', 'Portuguese'], ['nl', 'dut', 'Dutch'], ['sv', 'swe', 'Swedish'],
+  ['da', 'dan', 'Danish'], ['no', 'nor', 'Norwegian'], ['fi', 'fin', 'Finnish'], ['pl', 'pol', 'Polish'],
+  ['cs', 'cze', 'Czech'], ['ro', 'rum', 'Romanian'], ['el', 'gre', 'Greek'], ['tr', 'tur', 'Turkish'],
+  ['ru', 'rus', 'Russian'], ['uk', 'ukr', 'Ukrainian'], ['ar', 'ara', 'Arabic'], ['he', 'heb', 'Hebrew'],
+  ['hi', 'hin', 'Hindi'], ['id', 'ind', 'Indonesian'], ['vi', 'vie', 'Vietnamese'], ['th', 'tha', 'Thai'],
+  ['zh', 'chi', 'Chinese'], ['ja', 'jpn', 'Japanese'], ['ko', 'kor', 'Korean']
+].map(([code, tag, name]) => ({ code, tag, name }));
+
+// Longest pause (seconds) inside one group of animated caption words
+const ANIMATED_MAX_GAP = 0.6;
+
+// Style options accepted by add_subtitles
+const subtitleStyleSchema = {
+  properties: {
+    font: { type: 'string', minLength: 1, maxLength: 64, pattern: '^[^,{}\\\\]+$' },
+    size: { type: 'integer', minimum: 8, maximum: 200 },
+    color: { type: 'string', minLength: 1 },
+    outline_color: { type: 'string', minLength: 1 },
+    outline: { type: 'number', minimum: 0, maximum: 10 },
+    background: { type: 'boolean' },
+    background_color: { type: 'string', minLength: 1 },
+    position: { enum: SUBTITLE_POSITIONS },
+    max_chars: { type: 'integer', minimum: 10, maximum: 100 },
+    animated_captions: { type: 'boolean' },
+    highlight_color: { type: 'string', minLength: 1 },
+    words_per_group: { type: 'integer', minimum: 1, maximum: 5 }
+  }
+};
+
+/**
+ * Converts a color name or #RRGGBB into an ASS color (&HAABBGGRR).
+ * `alpha` is 0 (opaque) to 255 (transparent). Throws a 400 for unknown colors.
+ */
+function toAssColor(color, alpha = 0) {
+  const value = String(color).trim().toLowerCase();
+  const rgb = SUBTITLE_COLORS[value] || (/^#[0-9a-f]{6}$/.test(value) ? value.slice(1).toUpperCase() : null);
+  if (!rgb) {
+    throw createHttpError(400, `Unknown color '${color}'. Use a name (${Object.keys(SUBTITLE_COLORS).join(', ')}) or #RRGGBB.`);
+  }
+  const hexAlpha = alpha.toString(16).padStart(2, '0').toUpperCase();
+  return `&H${hexAlpha}${rgb.slice(4, 6)}${rgb.slice(2, 4)}${rgb.slice(0, 2)}`;
+}
+
+/**
+ * Finds a language by ISO 639-1 code, ISO 639-2 tag or English name
+ * ("es", "spa", "Spanish"). Throws a 400 for unknown languages.
+ */
+function resolveLanguage(value) {
+  const key = String(value).trim().toLowerCase();
+  const language = LANGUAGES.find(({ code, tag, name }) => key === code || key === tag || key === name.toLowerCase());
+  if (!language) {
+    throw createHttpError(400, `Unknown subtitle language '${value}'. Use an ISO code or name such as ${LANGUAGES.slice(0, 4).map(({ code, name }) => `${code} (${name})`).join(', ')}.`);
+  }
+  return language;
+}
+
+/**
+ * Fills in the style defaults for a video of the given height and checks the colors.
+ */
+function resolveSubtitleStyle(options = {}, { height = 720 } = {}) {
+  // Animated captions default to large, bold words in the middle of the frame
+  const animated = Boolean(options.animated_captions);
+  const style = {
+    font: options.font || 'Arial',
+    size: options.size || Math.max(12, Math.round(height / (animated ? 11 : 18))),
+    color: options.color || 'white',
+    outlineColor: options.outline_color || 'black',
+    outline: options.outline ?? (animated ? 3 : 2),
+    background: Boolean(options.background),
+    backgroundColor: options.background_color || 'black',
+    position: options.position || (animated ? 'middle' : 'bottom'),
+    maxChars: options.max_chars || 42,
+    animated,
+    bold: animated,
+    highlightColor: options.highlight_color || 'yellow',
+    wordsPerGroup: options.words_per_group || 2
+  };
+  // Validate up front so a bad color fails the request, not the render
+  [style.color, style.outlineColor, style.backgroundColor, style.highlightColor].forEach(color => toAssColor(color));
+  return style;
+}
+
+/**
+ * Wraps text into lines of at most `maxChars` characters, breaking between words.
+ */
+function wrapText(text, maxChars) {
+  const lines = [];
+  let line = '';
+  for (const word of String(text).split(/\s+/).filter(Boolean)) {
+    if (line && (line.length + 1 + word.length) > maxChars) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  }
+  if (line) lines.push(line);
+  return lines;
+}
+
+/**
+ * Re-wraps every cue to `maxChars` per line. Cues that need more than
+ * `maxLines` lines are split, sharing the cue's time in proportion to their length.
+ */
+function wrapCues(cues, maxChars, maxLines = 2) {
+  return cues.flatMap(({ start, end, text }) => {
+    const lines = wrapText(text, maxChars);
+    if (lines.length <= maxLines) return [{ start, end, text: lines.join('\n') }];
+
+    const groups = [];
+    for (let i = 0; i < lines.length; i += maxLines) groups.push(lines.slice(i, i + maxLines));
+    const total = lines.join('').length;
+    let cursor = start;
+    return groups.map(group => {
+      const share = ((end - start) * group.join('').length) / total;
+      const cue = { start: cursor, end: cursor + share, text: group.join('\n') };
+      cursor += share;
+      return cue;
+    });
+  });
+}
+
+/**
+ * Formats seconds as HH:MM:SS<separator>mmm (SRT uses ",", VTT ".").
+ */
+function formatTimestamp(seconds, separator) {
+  const totalMs = Math.round(seconds * 1000);
+  const h = Math.floor(totalMs / 3600000).toString().padStart(2, '0');
+  const m = Math.floor((totalMs % 3600000) / 60000).toString().padStart(2, '0');
+  const s = Math.floor((totalMs % 60000) / 1000).toString().padStart(2, '0');
+  return `${h}:${m}:${s}${separator}${(totalMs % 1000).toString().padStart(3, '0')}`;
+}
+
+/**
+ * Formats seconds as an ASS timestamp (H:MM:SS.cc).
+ */
+function formatAssTimestamp(seconds) {
+  const totalCs = Math.round(seconds * 100);
+  const h = Math.floor(totalCs / 360000);
+  const m = Math.floor((totalCs % 360000) / 6000).toString().padStart(2, '0');
+  const s = Math.floor((totalCs % 6000) / 100).toString().padStart(2, '0');
+  return `${h}:${m}:${s}.${(totalCs % 100).toString().padStart(2, '0')}`;
+}
+
+/**
+ * Writes cues as SRT.
+ */
+function formatSrt(cues) {
+  return cues.map((cue, i) => `${i + 1}\n${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}\n${cue.text}\n`).join('\n');
+}
+
+/**
+ * Writes cues as WebVTT; the position becomes a cue "line" setting.
+ */
+function formatVtt(cues, style = {}) {
+  const setting = VTT_LINE[style.position] || '';
+  const body = cues.map(cue => `${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}${setting}\n${cue.text}\n`);
+  return ['WEBVTT\n', ...body].join('\n');
+}
+
+/**
+ * Makes cue text safe inside an ASS event: braces would start override tags.
+ */
+function escapeAssText(text) {
+  return text.replace(/[{}]/g, match => (match === '{' ? '(' : ')')).replace(/\n/g, '\\N');
+}
+
+/**
+ * Builds an ASS script whose single "Default" style carries every option; the
+ * script's resolution is the video's so sizes are in pixels. Events are
+ * { start, end, text } with text already escaped (it may hold override tags).
+ */
+function buildAssScript(events, style, { width = 1280, height = 720 } = {}) {
+  // A background box is ASS border style 3, drawn in the outline color
+  const borderStyle = style.background ? 3 : 1;
+  const outlineColor = style.background ? toAssColor(style.backgroundColor, 0x60) : toAssColor(style.outlineColor);
+  const outline = style.background ? Math.max(style.outline, 4) : style.outline;
+  const margin = Math.round(height * 0.05);
+  const bold = style.bold ? -1 : 0;
+
+  return [
+    '[Script Info]',
+    'ScriptType: v4.00+',
+    `PlayResX: ${width}`,
+    `PlayResY: ${height}`,
+    'WrapStyle: 2',
+    'ScaledBorderAndShadow: yes',
+    '',
+    '[V4+ Styles]',
+    'Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding',
+    `Style: Default,${style.font},${style.size},${toAssColor(style.color)},${toAssColor(style.color)},${outlineColor},&H80000000,${bold},0,0,0,100,100,0,0,${borderStyle},${outline},0,${ALIGNMENT[style.position]},${margin},${margin},${margin},1`,
+    '',
+    '[Events]',
+    'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+    ...events.map(event => `Dialogue: 0,${formatAssTimestamp(event.start)},${formatAssTimestamp(event.end)},Default,,0,0,0,,${event.text}`),
+    ''
+  ].join('\n');
+}
+
+/**
+ * Writes cues as a styled ASS script.
+ */
+function formatAss(cues, style, size) {
+  return buildAssScript(cues.map(cue => ({ ...cue, text: escapeAssText(cue.text) })), style, size);
+}
+
+/**
+ * Groups timed words into pops of at most `perGroup` words; a group also ends
+ * at a pause or at punctuation so a pop never spans two phrases.
+ */
+function groupWords(words, perGroup) {
+  const groups = [];
+  let group = [];
+  for (const { word, start, end } of words) {
+    const text = String(word).trim();
+    if (!text) continue;
+
+    const last = group[group.length - 1];
+    if (group.length === perGroup || (last && (start - last.end > ANIMATED_MAX_GAP || /[.?!,;:]$/.test(last.word)))) {
+      groups.push(group);
+      group = [];
+    }
+    group.push({ word: text, start, end });
+  }
+  if (group.length > 0) groups.push(group);
+  return groups;
+}
+
+/**
+ * Writes word-by-word karaoke captions as ASS: each group of words pops in
+ * (a short scale-up) and stays on screen while it is spoken, with one event per
+ * word in which that word is drawn in the highlight color.
+ */
+function formatAnimatedAss(words, style, size) {
+  const highlight = toAssColor(style.highlightColor);
+  const normal = toAssColor(style.color);
+
+  const events = groupWords(words, style.wordsPerGroup).flatMap(group => group.map((active, i) => {
+    const end = i + 1 < group.length ? group[i + 1].start : active.end;
+    const pop = i === 0 ? '{\\fscx80\\fscy80\\t(0,120,\\fscx100\\fscy100)}' : '';
+    const text = group
+      .map(({ word }, j) => (j === i ? `{\\c${highlight}&}${escapeAssText(word)}{\\c${normal}&}` : escapeAssText(word)))
+      .join(' ');
+    return { start: active.start, end: Math.max(end, active.start + 0.05), text: pop + text };
+  }));
+
+  return buildAssScript(events, style, size);
+}
+
+/**
+ * Writes cues in one of SUBTITLE_FORMATS.
+ */
+function formatSubtitles(format, cues, style, size) {
+  if (format === 'vtt') return formatVtt(cues, style);
+  if (format === 'ass') return formatAss(cues, style, size);
+  return formatSrt(cues);
+}
+
+export {
+  SUBTITLE_FORMATS, SUBTITLE_POSITIONS, SUBTITLE_COLORS, LANGUAGES, subtitleStyleSchema,
+  resolveLanguage, toAssColor, resolveSubtitleStyle, wrapText, wrapCues,
+  formatSrt, formatVtt, formatAss, formatAnimatedAss, formatSubtitles
+};
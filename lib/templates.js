@@ -0,0 +1,182 @@
+// ============================
+// Templates
+// ============================
+// Reusable branded pieces registered on the server, one JSON file per template
+// under templates/ (TEMPLATES_DIR):
+//   intro / outro – a stored clip or a generated title card, joined before or
+//                   after the video; optional text overlays are drawn on it
+//   lower_third   – text overlays drawn over the video itself
+// Overlay texts hold {{placeholders}} filled from apply_template's variables.
+import path from 'path';
+import fs from 'fs';
+import Ajv from 'ajv';
+import { templatesDir, isSafeFilename, getVideoPath } from './paths.js';
+import { createHttpError } from './errors.js';
+import { isTimeExpression, isRangeExpression } from './time.js';
+import { textOverlaySchema } from './overlay.js';
+import { TRANSITIONS } from './join.js';
+
+const TEMPLATE_KINDS = ['intro', 'outro', 'lower_third'];
+const PLACEHOLDER = /\{\{\s*([a-zA-Z][\w-]*)\s*\}\}/g;
+
+const templateSchema = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', pattern: '^[a-z0-9][a-z0-9_-]{0,63}$' },
+    kind: { enum: TEMPLATE_KINDS },
+    description: { type: 'string', maxLength: 200 },
+    // Filename of an uploaded video, copied into the templates directory when registering
+    clip: { type: 'string', minLength: 1 },
+    card: {
+      type: 'object',
+      properties: {
+        duration: { type: 'number', exclusiveMinimum: 0, maximum: 30 },
+        background: textOverlaySchema.properties.color
+      }
+    },
+    overlays: { type: 'array', items: textOverlaySchema, minItems: 1, maxItems: 20 },
+    defaults: { type: 'object', additionalProperties: { type: 'string' } },
+    transition: { enum: ['none', ...Object.keys(TRANSITIONS)] },
+    transition_duration: { type: 'number', exclusiveMinimum: 0, maximum: 5 }
+  },
+  required: ['name', 'kind'],
+  additionalProperties: false
+};
+
+const ajv = new Ajv({ allErrors: true, coerceTypes: true });
+ajv.addFormat('time-expression', isTimeExpression);
+ajv.addFormat('range-expression', isRangeExpression);
+const validateTemplate = ajv.compile(templateSchema);
+
+/**
+ * Returns the placeholder names used in a template's overlay texts.
+ */
+function templateVariables(template) {
+  const texts = (template.overlays || []).map(overlay => overlay.text);
+  return [...new Set(texts.flatMap(text => [...text.matchAll(PLACEHOLDER)].map(match => match[1])))];
+}
+
+/**
+ * Adds the derived `variables` list to a stored template for clients.
+ */
+function describeTemplate(template) {
+  return { ...template, variables: templateVariables(template) };
+}
+
+/**
+ * Returns every registered template, sorted by name.
+ */
+function listTemplates() {
+  return fs.readdirSync(templatesDir)
+    .filter(name => name.endsWith('.json'))
+    .map(name => JSON.parse(fs.readFileSync(path.join(templatesDir, name), 'utf8')))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Returns a template by exact name, or null.
+ */
+function getTemplate(name) {
+  if (!isSafeFilename(name)) return null;
+  const templatePath = path.join(templatesDir, `${name}.json`);
+  return fs.existsSync(templatePath) ? JSON.parse(fs.readFileSync(templatePath, 'utf8')) : null;
+}
+
+/**
+ * Finds the template a prompt refers to: an exact name ("podcast-intro"), or a
+ * kind with an optional name part ("outro", "podcast intro", "lower third").
+ * Throws a 404 naming the registered templates when nothing matches.
+ */
+function findTemplate(query) {
+  const slug = String(query).trim().toLowerCase().replace(/[\s_]+/g, '-');
+  const exact = getTemplate(slug);
+  if (exact) return exact;
+
+  const templates = listTemplates();
+  const kindMatch = slug.match(/\b(intro|outro|lower-thirds?)\b/);
+  const kind = kindMatch && (kindMatch[1].startsWith('lower') ? 'lower_third' : kindMatch[1]);
+  const rest = slug.replace(/\b(intro|outro|lower-thirds?|template)\b/g, '').replace(/^-+|-+$/g, '').replace(/-{2,}/g, '-');
+
+  const candidates = templates.filter(template => (!kind || template.kind === kind) && (!rest || template.name.includes(rest)));
+  if ((kind || rest) && candidates.length > 0) return candidates[0];
+
+  const names = templates.map(template => template.name);
+  throw createHttpError(404, `No template matches '${query}'. ${names.length ? `Registered: ${names.join(', ')}.` : 'Register one with POST /api/templates.'}`);
+}
+
+/**
+ * Validates and stores a template. An intro/outro needs either `clip` (an
+ * uploaded video, copied next to the template) or `card`; a lower third needs
+ * `overlays`. Throws a 400 for invalid definitions and a 409 for taken names.
+ * @returns {Object} The stored template
+ */
+function registerTemplate(definition, { replace = false } = {}) {
+  const template = structuredClone(definition);
+  if (!validateTemplate(template)) {
+    const problems = validateTemplate.errors.map(err => `${err.instancePath || err.params.missingProperty || err.params.additionalProperty || 'template'} ${err.message}`);
+    throw createHttpError(400, `Invalid template: ${problems.join('; ')}.`);
+  }
+
+  if (template.kind === 'lower_third' ? !template.overlays || template.clip || template.card : Boolean(template.clip) === Boolean(template.card)) {
+    throw createHttpError(400, template.kind === 'lower_third'
+      ? 'A lower third is made of "overlays" only.'
+      : 'An intro or outro needs either "clip" (an uploaded video) or "card" (a generated title card).');
+  }
+  if (getTemplate(template.name) && !replace) {
+    throw createHttpError(409, `Template '${template.name}' already exists.`);
+  }
+
+  if (template.clip) {
+    const clipPath = isSafeFilename(template.clip) ? getVideoPath(template.clip) : null;
+    if (!clipPath) {
+      throw createHttpError(404, `Video file not found: ${template.clip}`);
+    }
+    const storedClip = `${template.name}${path.extname(clipPath)}`;
+    fs.copyFileSync(clipPath, path.join(templatesDir, storedClip));
+    template.clip = storedClip;
+  }
+
+  template.createdAt = new Date().toISOString();
+  fs.writeFileSync(path.join(templatesDir, `${template.name}.json`), JSON.stringify(template, null, 2));
+  return template;
+}
+
+/**
+ * Deletes a template and its stored clip. Returns false when it does not exist.
+ */
+function deleteTemplate(name) {
+  const template = getTemplate(name);
+  if (!template) return false;
+  if (template.clip) fs.rmSync(path.join(templatesDir, template.clip), { force: true });
+  fs.rmSync(path.join(templatesDir, `${name}.json`), { force: true });
+  return true;
+}
+
+/**
+ * Returns the template's overlays with every {{placeholder}} replaced by
+ * `variables`, falling back to the template's defaults. Throws a 400 listing
+ * the variables that are still missing.
+ */
+function fillTemplateOverlays(template, variables = {}) {
+  const values = { ...template.defaults, ...variables };
+  const missing = templateVariables(template).filter(name => values[name] === undefined);
+  if (missing.length > 0) {
+    throw createHttpError(400, `Template '${template.name}' needs: ${missing.join(', ')}.`);
+  }
+  return (template.overlays || []).map(overlay => ({
+    ...overlay,
+    text: overlay.text.replace(PLACEHOLDER, (_, name) => String(values[name]))
+  }));
+}
+
+/**
+ * Returns the full path of a template's stored clip.
+ */
+function getTemplateClipPath(template) {
+  return path.join(templatesDir, template.clip);
+}
+
+export {
+  TEMPLATE_KINDS, listTemplates, getTemplate, findTemplate, describeTemplate, registerTemplate, deleteTemplate,
+  fillTemplateOverlays, getTemplateClipPath
+};
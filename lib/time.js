@@ -0,0 +1,224 @@
+// ============================
+// Time Conversion Utilities
+// ============================
+// Time values accepted everywhere:
+//   HH:MM:SS, HH:MM:SS.mmm, MM:SS(.mmm) – clock time
+//   65 or 65.25                        – plain seconds
+//   f:1500                             – frame number (needs the video frame rate)
+// Time expressions (start/end fields) add:
+//   "start", "beginning", "end"
+//   30%                                – a share of the duration
+//   start+<value|%>, end-<value|%>     – offsets from either edge
+//   +<value>                           – (end only) a duration after the start
+// Range expressions (range field) name a whole span:
+//   whole, first 30%, last 00:01:00, last minute, first 15 seconds,
+//   middle third, second half, last quarter
+import { createHttpError } from './errors.js';
+
+const TIME_VALUE = String.raw`(?:f:\d+|\d+(?:\.\d+)?|(?:\d{1,2}:)?[0-5]?\d:[0-5]\d(?:\.\d{1,3})?)`;
+const PERCENT = String.raw`\d+(?:\.\d+)?%`;
+const TIME_EXPRESSION = new RegExp(String.raw`^(?:start|beginning|end|(?:start\+|end-|\+)?(?:${TIME_VALUE}|${PERCENT}))$`);
+const UNIT_AMOUNT = String.raw`(?:\d+(?:\.\d+)?-)?(?:second|minute|hour)s?`;
+const RANGE_EXPRESSION = new RegExp(String.raw`^(?:whole|all|(first|last)-(${TIME_VALUE}|${PERCENT}|${UNIT_AMOUNT})|(first|second|middle|third|fourth|last)-(half|third|quarter))$`);
+const UNIT_SECONDS = { second: 1, minute: 60, hour: 3600 };
+const RANGE_PARTS = { half: 2, third: 3, quarter: 4 };
+const RANGE_POSITIONS = { first: 0, second: 1, third: 2, fourth: 3 };
+
+/**
+ * Converts a time value (HH:MM:SS[.mmm], MM:SS, seconds or f:N) into seconds.
+ * Frame numbers need `fps`; NaN is returned for anything unparseable.
+ */
+function timeToSeconds(time, fps) {
+  const value = String(time).trim();
+
+  if (value.startsWith('f:')) {
+    return fps > 0 ? Number(value.slice(2)) / fps : NaN;
+  }
+
+  if (!value.includes(':')) {
+    return /^\d+(\.\d+)?$/.test(value) ? Number(value) : NaN;
+  }
+
+  const parts = value.split(':').map(Number);
+  if (parts.length > 3 || parts.some(Number.isNaN)) return NaN;
+  const [hours, minutes, seconds] = parts.length === 3 ? parts : [0, ...parts];
+  return (hours * 3600) + (minutes * 60) + seconds;
+}
+
+/**
+ * Converts a number of seconds into a time string (HH:MM:SS, plus .mmm when
+ * there is a fractional part).
+ */
+function secondsToTime(seconds) {
+  const totalMs = Math.round(seconds * 1000);
+  const h = Math.floor(totalMs / 3600000).toString().padStart(2, '0');
+  const m = Math.floor((totalMs % 3600000) / 60000).toString().padStart(2, '0');
+  const s = Math.floor((totalMs % 60000) / 1000).toString().padStart(2, '0');
+  const ms = totalMs % 1000;
+  return ms ? `${h}:${m}:${s}.${ms.toString().padStart(3, '0')}` : `${h}:${m}:${s}`;
+}
+
+/**
+ * Converts a time value, a percentage of the duration or a unit amount
+ * ("2-minutes", "minute") into seconds.
+ */
+function amountToSeconds(amount, { duration, fps }) {
+  if (amount.endsWith('%')) {
+    return (duration * Number(amount.slice(0, -1))) / 100;
+  }
+
+  const unit = amount.match(/^(?:(\d+(?:\.\d+)?)-)?(second|minute|hour)s?$/);
+  if (unit) {
+    return Number(unit[1] ?? 1) * UNIT_SECONDS[unit[2]];
+  }
+
+  return timeToSeconds(amount, fps);
+}
+
+/**
+ * Resolves a time expression into seconds against the video's duration and
+ * frame rate. `origin` is what a bare "+<value>" is added to (the range start
+ * when resolving an end). Returns NaN when the expression is not valid.
+ */
+function resolveTime(expression, { duration, fps, origin = 0 } = {}) {
+  const value = String(expression).trim().toLowerCase();
+  if (value === 'start' || value === 'beginning') return 0;
+  if (value === 'end') return duration;
+
+  if (value.startsWith('end-')) {
+    return Math.max(0, duration - amountToSeconds(value.slice(4), { duration, fps }));
+  }
+  if (value.startsWith('start+')) {
+    return amountToSeconds(value.slice(6), { duration, fps });
+  }
+  if (value.startsWith('+')) {
+    return origin + amountToSeconds(value.slice(1), { duration, fps });
+  }
+
+  return amountToSeconds(value, { duration, fps });
+}
+
+/**
+ * Normalizes "the Middle third" or "first 30 %" into the range grammar ("middle-third", "first-30%").
+ */
+function normalizeRangeExpression(expression) {
+  return String(expression).trim().toLowerCase()
+    .replace(/^the\s+/, '')
+    .replace(/\s*%/, '%')
+    .replace(/[\s-]+/g, '-');
+}
+
+/**
+ * Resolves a named range into { start, end } seconds (unsnapped).
+ * Returns null when the expression is not a range.
+ */
+function resolveRangeExpression(expression, { duration, fps } = {}) {
+  const match = normalizeRangeExpression(expression).match(RANGE_EXPRESSION);
+  if (!match) return null;
+
+  const [, edge, amount, position, part] = match;
+
+  if (edge) {
+    const length = Math.min(duration, amountToSeconds(amount, { duration, fps }));
+    return edge === 'first' ? { start: 0, end: length } : { start: duration - length, end: duration };
+  }
+
+  if (part) {
+    const parts = RANGE_PARTS[part];
+    const size = duration / parts;
+    const index = position === 'last' ? parts - 1
+      : position === 'middle' ? (parts - 1) / 2
+        : RANGE_POSITIONS[position];
+    if (index >= parts) return null;
+    return { start: size * index, end: size * (index + 1) };
+  }
+
+  return { start: 0, end: duration };
+}
+
+/**
+ * Rounds seconds to the nearest frame boundary when the frame rate is known.
+ */
+function snapToFrame(seconds, fps) {
+  return fps > 0 ? Math.round(seconds * fps) / fps : seconds;
+}
+
+/**
+ * Formats frame-aligned seconds for ffmpeg's -ss/-to/-t, nudged half a frame
+ * earlier so float rounding can never drop or add a boundary frame.
+ */
+function toFFmpegSeconds(seconds, fps) {
+  const nudged = fps > 0 && seconds > 0 ? seconds - 0.5 / fps : seconds;
+  return nudged.toFixed(6);
+}
+
+/**
+ * Resolves a { start, end } pair or a named `range` into frame-aligned seconds
+ * inside the video. "end" keeps the exact duration instead of snapping away its
+ * last fraction. Throws a 400 when a value is missing or invalid, or the range is empty.
+ */
+function resolveTimeRange({ start, end, range }, { duration, fps } = {}) {
+  let startSec;
+  let endSec;
+
+  if (range) {
+    const resolved = resolveRangeExpression(range, { duration, fps });
+    if (!resolved) {
+      throw createHttpError(400, `Unknown range '${range}'. Use e.g. "first 30%", "last minute", "middle third" or "second half".`);
+    }
+    ({ start: startSec, end: endSec } = resolved);
+  } else {
+    if (!start || !end) {
+      throw createHttpError(400, 'Missing required fields: start and end (or range).');
+    }
+    startSec = resolveTime(start, { duration, fps });
+    endSec = resolveTime(end, { duration, fps, origin: startSec });
+  }
+
+  if (Number.isNaN(startSec) || Number.isNaN(endSec)) {
+    throw createHttpError(400, 'Invalid time format. Use HH:MM:SS[.mmm], seconds, f:<frame>, a percentage or start/end-relative format.');
+  }
+
+  const resolved = {
+    start: Math.min(snapToFrame(startSec, fps), duration),
+    end: endSec >= duration ? duration : snapToFrame(endSec, fps)
+  };
+
+  if (resolved.end <= resolved.start) {
+    throw createHttpError(400, 'End time must be after start time.');
+  }
+
+  return resolved;
+}
+
+/**
+ * Returns true for the time grammar accepted by every editing action:
+ * a time value, a percentage, "start", "beginning", "end", "start+<value>",
+ * "end-<value>" or "+<value>".
+ */
+function isTimeExpression(value) {
+  return TIME_EXPRESSION.test(String(value).trim().toLowerCase());
+}
+
+/**
+ * Returns true for a named range such as "first 30%" or "middle third".
+ */
+function isRangeExpression(value) {
+  return RANGE_EXPRESSION.test(normalizeRangeExpression(value));
+}
+
+// Shared parameters for actions that work on a part of the video
+const timeRangeSchema = {
+  properties: {
+    start: { type: 'string', format: 'time-expression' },
+    end: { type: 'string', format: 'time-expression' },
+    range: { type: 'string', format: 'range-expression' }
+  },
+  anyOf: [{ required: ['start', 'end'] }, { required: ['range'] }]
+};
+
+export {
+  timeToSeconds, secondsToTime, resolveTime, resolveRangeExpression, snapToFrame, toFFmpegSeconds,
+  resolveTimeRange, isTimeExpression, isRangeExpression,
+  timeRangeSchema
+};
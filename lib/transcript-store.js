@@ -0,0 +1,269 @@
+// ============================
+// Transcript Store
+// ============================
+// Word-level transcripts are kept per video filename as JSON under
+// uploads/transcripts, so content-based edits only transcribe a video once.
+// Their subtitle cues can be corrected by hand and are what add_subtitles renders.
+import path from 'path';
+import fs from 'fs';
+import { transcriptsDir } from './paths.js';
+import { createHttpError } from './errors.js';
+import { progressSlice } from './media.js';
+import { reportProgress } from './jobs.js';
+import { getTranscriptionProvider } from './providers/index.js';
+import { translateCues } from './translate.js';
+import { extractSpeechAudio, resolvePhraseRange, wordsToCues, syncWordsToCues, vocabularyPrompt } from './transcript.js';
+
+/**
+ * @typedef {Object} Cue
+ * @property {number} index   1-based position, as in SRT
+ * @property {number} start   Seconds
+ * @property {number} end     Seconds
+ * @property {string} text
+ */
+
+/**
+ * @typedef {Object} Transcript
+ * @property {string} filename     Video the transcript belongs to
+ * @property {string} provider     Transcription provider that produced it
+ * @property {string[]} vocabulary Custom vocabulary the provider was prompted with
+ * @property {string} createdAt
+ * @property {string|null} editedAt When the cues were last edited by hand
+ * @property {string} text         The cue texts joined with spaces
+ * @property {Cue[]} cues          Subtitle cues, rendered by add_subtitles
+ * @property {Object<string, Cue[]>} translations Translated cues by language code
+ * @property {{ word: string, start: number, end: number }[]} words
+ */
+
+/**
+ * Returns the stored transcript of a video, or null when it has not been transcribed.
+ * @returns {Transcript|null}
+ */
+function loadTranscript(filename) {
+  const transcriptPath = path.join(transcriptsDir, `${filename}.json`);
+  if (!fs.existsSync(transcriptPath)) return null;
+  const transcript = JSON.parse(fs.readFileSync(transcriptPath, 'utf8'));
+  // Transcripts stored before cues existed get them from their words
+  return { vocabulary: [], editedAt: null, translations: {}, ...transcript, cues: transcript.cues || wordsToCues(transcript.words) };
+}
+
+/**
+ * Stores a video's transcript; cues default to the words grouped into subtitles.
+ * @returns {Transcript}
+ */
+function saveTranscript({
+  filename, provider, vocabulary = [], createdAt, editedAt = null, words, cues = wordsToCues(words), translations = {}
+}) {
+  const transcript = {
+    filename,
+    provider,
+    vocabulary,
+    createdAt: createdAt || new Date().toISOString(),
+    editedAt,
+    text: cues.map(cue => cue.text.replace(/\s+/g, ' ').trim()).join(' '),
+    cues,
+    translations,
+    words
+  };
+  fs.writeFileSync(path.join(transcriptsDir, `${filename}.json`), JSON.stringify(transcript, null, 2));
+  return transcript;
+}
+
+/**
+ * Throws a 503 unless a transcription provider is configured.
+ */
+function requireTranscriber() {
+  const transcriber = getTranscriptionProvider();
+  if (!transcriber) {
+    throw createHttpError(503, 'Transcripts need a transcription provider (set TRANSCRIBE_PROVIDER or OPENAI_API_KEY).');
+  }
+  return transcriber;
+}
+
+/**
+ * Transcribes a video with word timestamps and stores the result under its filename.
+ * The custom vocabulary is passed to the provider as its prompt.
+ * @returns {Promise<Transcript>}
+ */
+async function transcribeVideo(inputPath, progress = {}, { vocabulary = [] } = {}) {
+  const transcriber = requireTranscriber();
+  const audioPath = await extractSpeechAudio(inputPath, progressSlice(progress, 0, 30));
+  try {
+    const words = await transcriber.transcribeWords(audioPath, { prompt: vocabularyPrompt(vocabulary) });
+    const done = progressSlice(progress, 0, 100);
+    if (done.job) reportProgress(done.job, done.to);
+    return saveTranscript({ filename: path.basename(inputPath), provider: transcriber.name, vocabulary, words });
+  } finally {
+    fs.rmSync(audioPath, { force: true });
+  }
+}
+
+/**
+ * Returns the stored transcript of a video, transcribing it first when there is none.
+ * @returns {Promise<Transcript>}
+ */
+async function getOrCreateTranscript(inputPath, progress = {}, options = {}) {
+  return loadTranscript(path.basename(inputPath)) || transcribeVideo(inputPath, progress, options);
+}
+
+/**
+ * Returns the transcript's cues translated into `language` (see resolveLanguage).
+ * Translations are stored with the transcript, so each language is translated once.
+ * @returns {Promise<Cue[]>}
+ */
+async function translateTranscript(transcript, language) {
+  const stored = transcript.translations?.[language.code];
+  if (stored) return stored;
+
+  const cues = await translateCues(transcript.cues, language);
+  // Other languages may have been stored meanwhile; an edit since then makes this one stale
+  const latest = loadTranscript(transcript.filename);
+  if (latest && latest.editedAt === transcript.editedAt) {
+    saveTranscript({ ...latest, translations: { ...latest.translations, [language.code]: cues } });
+  }
+  return cues;
+}
+
+/**
+ * Checks a hand-edited cue list (numbers, non-empty text, in order without
+ * overlaps) and renumbers it. Throws a 400 describing the first problem.
+ * @returns {Cue[]}
+ */
+function validateCues(cues) {
+  if (!Array.isArray(cues) || cues.length === 0) {
+    throw createHttpError(400, 'cues must be a non-empty array of { start, end, text }.');
+  }
+
+  let previousEnd = 0;
+  return cues.map((cue, i) => {
+    const start = Number(cue?.start);
+    const end = Number(cue?.end);
+    const text = typeof cue?.text === 'string' ? cue.text.trim() : '';
+    if (!Number.isFinite(start) || !Number.isFinite(end) || start < 0 || end <= start) {
+      throw createHttpError(400, `Cue ${i + 1} needs a start and a later end in seconds.`);
+    }
+    if (!text) {
+      throw createHttpError(400, `Cue ${i + 1} has no text.`);
+    }
+    if (start < previousEnd - 0.001) {
+      throw createHttpError(400, `Cue ${i + 1} starts before cue ${i} ends.`);
+    }
+    previousEnd = end;
+    return { index: i + 1, start, end, text };
+  });
+}
+
+/**
+ * Applies one edit to a cue list in place. `index` is the 1-based cue number:
+ *   { op: 'edit', index, text?, start?, end? } – changes a cue
+ *   { op: 'merge', index }                     – joins a cue with the next one
+ *   { op: 'split', index, at?, words? }        – splits a cue at `at` seconds
+ *     (default its middle), giving the first `words` words to the first half
+ *     (default: in proportion to the time)
+ */
+function applyCueEdit(cues, edit) {
+  const { op = 'edit', index } = edit || {};
+  const position = Number(index) - 1;
+  const cue = cues[position];
+  if (!cue) {
+    throw createHttpError(400, `There is no cue ${index}.`);
+  }
+
+  if (op === 'edit') {
+    cues[position] = { start: edit.start ?? cue.start, end: edit.end ?? cue.end, text: edit.text ?? cue.text };
+  } else if (op === 'merge') {
+    const next = cues[position + 1];
+    if (!next) {
+      throw createHttpError(400, `Cue ${index} is the last one; there is nothing to merge it with.`);
+    }
+    cues.splice(position, 2, { start: cue.start, end: next.end, text: `${cue.text} ${next.text}` });
+  } else if (op === 'split') {
+    const at = edit.at === undefined ? (cue.start + cue.end) / 2 : Number(edit.at);
+    if (!(at > cue.start && at < cue.end)) {
+      throw createHttpError(400, `Split point ${edit.at} is outside cue ${index} (${cue.start}–${cue.end}).`);
+    }
+    const spoken = cue.text.split(/\s+/).filter(Boolean);
+    const byTime = Math.round(spoken.length * (at - cue.start) / (cue.end - cue.start));
+    const count = edit.words === undefined ? Math.min(spoken.length - 1, Math.max(1, byTime)) : Number(edit.words);
+    if (!(Number.isInteger(count) && count >= 1 && count < spoken.length)) {
+      throw createHttpError(400, `Cue ${index} cannot be split there; each half needs at least one word.`);
+    }
+    cues.splice(position, 1,
+      { start: cue.start, end: at, text: spoken.slice(0, count).join(' ') },
+      { start: at, end: cue.end, text: spoken.slice(count).join(' ') });
+  } else {
+    throw createHttpError(400, `Unknown cue edit '${op}'. Use edit, merge or split.`);
+  }
+}
+
+/**
+ * Edits a stored transcript, either replacing its cues or applying `edits` in
+ * order (later indexes refer to the list as earlier edits left it). The word
+ * timings used by the text-based actions follow the edited cues, and stored
+ * translations are dropped so they are redone from the corrected text.
+ * @returns {Transcript}
+ */
+function editTranscript(filename, { cues, edits }) {
+  const transcript = loadTranscript(filename);
+  if (!transcript) {
+    throw createHttpError(404, 'No transcript for this video yet.');
+  }
+  if (!cues && !Array.isArray(edits)) {
+    throw createHttpError(400, 'Send either "cues" (the full edited list) or "edits" (a list of edit, merge and split operations).');
+  }
+
+  let edited = cues;
+  if (!edited) {
+    edited = transcript.cues.map(({ start, end, text }) => ({ start, end, text }));
+    edits.forEach(edit => applyCueEdit(edited, edit));
+  }
+  const validated = validateCues(edited);
+
+  return saveTranscript({
+    ...transcript,
+    editedAt: new Date().toISOString(),
+    cues: validated,
+    translations: {},
+    words: syncWordsToCues(transcript.words, validated)
+  });
+}
+
+/**
+ * Prepares `delegate` (cut or remove_segment) over the span of the transcript
+ * quoted by params.text, or by params.from … params.to, widened by params.padding.
+ * With a stored transcript the phrase is resolved right away (so a miss is a 422);
+ * otherwise the video is transcribed when the operation runs.
+ */
+async function prepareByText(delegate, inputPath, params) {
+  const padding = Number(params.padding) || 0;
+  const prepareSpan = async (words) => {
+    const { start, end } = resolvePhraseRange(words, params);
+    const span = { start: Math.max(0, start - padding), end: end + padding };
+    const operation = await delegate.prepare(inputPath, { start: span.start.toFixed(3), end: span.end.toFixed(3) });
+    return { operation, span };
+  };
+
+  const stored = loadTranscript(path.basename(inputPath));
+  if (!stored) requireTranscriber();
+  const ready = stored ? await prepareSpan(stored.words) : null;
+
+  return {
+    run: async (progress = {}) => {
+      let prepared = ready;
+      let editProgress = progress;
+      if (!prepared) {
+        const transcript = await transcribeVideo(inputPath, progressSlice(progress, 0, 40));
+        prepared = await prepareSpan(transcript.words);
+        editProgress = progressSlice(progress, 40, 100);
+      }
+
+      const output = await prepared.operation.run(editProgress);
+      return { ...output, start: prepared.span.start, end: prepared.span.end };
+    }
+  };
+}
+
+export {
+  loadTranscript, saveTranscript, requireTranscriber, transcribeVideo, getOrCreateTranscript, translateTranscript,
+  editTranscript, prepareByText
+};
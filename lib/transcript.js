@@ -0,0 +1,231 @@
+// ============================
+// Transcript Utilities
+// ============================
+// Speech audio extraction for the transcription provider, SRT parsing and
+// word-level helpers shared by the actions that work from what is said.
+import path from 'path';
+import fs from 'fs';
+import { audioDir } from './paths.js';
+import { runFFmpeg } from './media.js';
+import { createHttpError } from './errors.js';
+
+// Spoken fillers dropped by remove_silence's "fillers" option
+const FILLER_WORDS = ['um', 'umm', 'uh', 'uhh', 'uhm', 'erm', 'er', 'ah', 'hmm', 'mm'];
+// Lowest similarity (0–1) at which a quoted phrase counts as found in the transcript
+const MIN_PHRASE_SCORE = 0.75;
+// How words are grouped into cues: two lines of 42 characters, at most 7 s,
+// and a new cue after a pause or once a sentence ends
+const CUE_MAX_CHARS = 84;
+const CUE_MAX_DURATION = 7;
+const CUE_MAX_GAP = 1;
+// Whisper reads only the last 224 tokens of its prompt, so the vocabulary is capped
+const MAX_VOCABULARY_PROMPT = 800;
+
+/**
+ * Extracts the audio track of a video into an MP3 under uploads/audio for the
+ * transcription provider. The caller deletes the file once it is transcribed;
+ * a partial file is removed here when extraction fails.
+ * @returns {Promise<string>} Path of the MP3
+ */
+async function extractSpeechAudio(inputPath, progress = {}) {
+  const audioPath = path.join(audioDir, `${Date.now()}-${Math.round(Math.random() * 1e9)}.mp3`);
+  try {
+    await runFFmpeg([
+      '-nostdin', '-threads', '1',
+      '-i', inputPath,
+      '-vn', '-acodec', 'libmp3lame', '-ar', '44100', '-ac', '2', '-ab', '192k',
+      audioPath
+    ], progress);
+  } catch (err) {
+    fs.rmSync(audioPath, { force: true });
+    throw err;
+  }
+  return audioPath;
+}
+
+/**
+ * Converts an SRT timestamp ("00:01:02,500") into seconds.
+ */
+function srtTimeToSeconds(value) {
+  const [h, m, s] = value.trim().replace(',', '.').split(':').map(Number);
+  return (h * 3600) + (m * 60) + s;
+}
+
+/**
+ * Parses SRT text into cues of { start, end, text } (seconds); malformed blocks are skipped.
+ */
+function parseSrt(srt) {
+  return String(srt).replace(/\r/g, '').split(/\n\s*\n/).flatMap(block => {
+    const lines = block.trim().split('\n');
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    if (timingIndex === -1) return [];
+
+    const [start, end] = lines[timingIndex].split('-->').map(part => srtTimeToSeconds(part.split(' ').filter(Boolean)[0] || ''));
+    if (!Number.isFinite(start) || !Number.isFinite(end)) return [];
+
+    return [{ start, end, text: lines.slice(timingIndex + 1).join('\n').trim() }];
+  });
+}
+
+/**
+ * Spreads each cue's words evenly over its time span, for providers that only
+ * return SRT. Returns [{ word, start, end }].
+ */
+function cuesToWords(cues) {
+  return cues.flatMap(({ start, end, text }) => {
+    const words = text.split(/\s+/).filter(Boolean);
+    const step = (end - start) / (words.length || 1);
+    return words.map((word, i) => ({ word, start: start + (step * i), end: start + (step * (i + 1)) }));
+  });
+}
+
+/**
+ * Groups timed words into numbered subtitle cues of { index, start, end, text }.
+ */
+function wordsToCues(words) {
+  const groups = [];
+  let current = null;
+  for (const word of words) {
+    const text = String(word.word).trim();
+    if (!text) continue;
+
+    const startsNew = !current
+      || current.text.length + 1 + text.length > CUE_MAX_CHARS
+      || word.end - current.start > CUE_MAX_DURATION
+      || word.start - current.end > CUE_MAX_GAP
+      || (/[.?!]$/.test(current.text) && current.text.length >= CUE_MAX_CHARS / 4);
+    if (startsNew) {
+      current = { start: word.start, end: word.end, text };
+      groups.push(current);
+    } else {
+      current.end = word.end;
+      current.text = `${current.text} ${text}`;
+    }
+  }
+  return groups.map((cue, i) => ({ index: i + 1, ...cue }));
+}
+
+/**
+ * Keeps the word timings of every cue whose text still matches the words it
+ * covers, and spreads the words of edited cues evenly over the cue instead.
+ */
+function syncWordsToCues(words, cues) {
+  const sameText = (a, b) => a.map(normalizeWord).filter(Boolean).join(' ') === b.map(normalizeWord).filter(Boolean).join(' ');
+  return cues.flatMap(cue => {
+    const covered = words.filter(({ start, end }) => {
+      const middle = (start + end) / 2;
+      return middle >= cue.start && middle < cue.end;
+    });
+    const spoken = cue.text.split(/\s+/).filter(Boolean);
+    return sameText(covered.map(({ word }) => word), spoken) ? covered : cuesToWords([cue]);
+  });
+}
+
+/**
+ * Turns a custom vocabulary (brand names, jargon) into a transcription prompt,
+ * or undefined when there is none.
+ */
+function vocabularyPrompt(vocabulary) {
+  const terms = (vocabulary || []).map(term => String(term).trim()).filter(Boolean);
+  if (terms.length === 0) return undefined;
+  return terms.join(', ').slice(0, MAX_VOCABULARY_PROMPT);
+}
+
+/**
+ * Lowercases a transcribed word and strips its punctuation ("Um," → "um").
+ */
+function normalizeWord(word) {
+  return String(word).toLowerCase().replace(/[^\p{L}\p{N}']/gu, '');
+}
+
+/**
+ * Returns true when a transcribed word is one of `fillers`.
+ */
+function isFillerWord(word, fillers = FILLER_WORDS) {
+  return fillers.includes(normalizeWord(word));
+}
+
+/**
+ * Levenshtein edit distance between two strings.
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Finds the run of words that best matches `phrase`, ignoring case and
+ * punctuation and tolerating small transcription differences. Runs of one word
+ * more or fewer than the phrase are tried too. Only words from index `after` on
+ * are searched. Returns { first, last, score } word indexes, or null below MIN_PHRASE_SCORE.
+ */
+function findPhrase(words, phrase, { after = 0 } = {}) {
+  const target = String(phrase).split(/\s+/).map(normalizeWord).filter(Boolean);
+  if (target.length === 0) return null;
+
+  const targetText = target.join(' ');
+  const normalized = words.map(({ word }) => normalizeWord(word));
+  let best = null;
+
+  for (let first = after; first < words.length; first++) {
+    for (let count = Math.max(1, target.length - 1); count <= target.length + 1; count++) {
+      if (first + count > words.length) break;
+      const candidate = normalized.slice(first, first + count).filter(Boolean).join(' ');
+      const score = 1 - editDistance(candidate, targetText) / Math.max(candidate.length, targetText.length);
+      if (!best || score > best.score) best = { first, last: first + count - 1, score };
+    }
+  }
+
+  return best && best.score >= MIN_PHRASE_SCORE ? best : null;
+}
+
+/**
+ * Resolves a quoted `text`, or a `from` phrase and a later `to` phrase, into
+ * { start, end } seconds of the transcript words. Throws a 422 when a phrase is not found.
+ */
+function resolvePhraseRange(words, { text, from, to }) {
+  const notFound = (phrase) => createHttpError(422, `Could not find "${phrase}" in the transcript.`);
+
+  if (text) {
+    const match = findPhrase(words, text);
+    if (!match) throw notFound(text);
+    return { start: words[match.first].start, end: words[match.last].end };
+  }
+
+  const opening = findPhrase(words, from);
+  if (!opening) throw notFound(from);
+  const closing = findPhrase(words, to, { after: opening.first });
+  if (!closing) throw notFound(to);
+  return { start: words[opening.first].start, end: words[closing.last].end };
+}
+
+// Shared parameters for actions that find their span by what is said:
+// a quoted phrase, or the phrases that open and close the span
+const phraseSchema = {
+  properties: {
+    text: { type: 'string', minLength: 1 },
+    from: { type: 'string', minLength: 1 },
+    to: { type: 'string', minLength: 1 },
+    padding: { type: 'number', minimum: 0, maximum: 5 }
+  },
+  anyOf: [{ required: ['text'] }, { required: ['from', 'to'] }]
+};
+
+// Custom vocabulary accepted wherever a video is transcribed
+const vocabularySchema = {
+  type: 'array',
+  items: { type: 'string', minLength: 1, maxLength: 64 },
+  maxItems: 100
+};
+
+export {
+  FILLER_WORDS, extractSpeechAudio, parseSrt, cuesToWords, wordsToCues, syncWordsToCues, vocabularyPrompt,
+  normalizeWord, isFillerWord, findPhrase, resolvePhraseRange, phraseSchema, vocabularySchema
+};
@@ -0,0 +1,103 @@
+// ============================
+// Subtitle Translation
+// ============================
+// Translates transcript cues through the chat provider. Only the text is sent
+// (as numbered lines in batches), so the translated cues keep the original timings.
+import { getChatProvider } from './providers/index.js';
+import { createHttpError } from './errors.js';
+
+// Cues sent to the model per request
+const TRANSLATE_BATCH_SIZE = 40;
+// Times an invalid reply is sent back to the model with what was wrong
+const TRANSLATE_REPAIR_RETRIES = 1;
+
+/**
+ * Throws a 503 unless a chat provider is configured.
+ */
+function requireTranslator() {
+  const provider = getChatProvider();
+  if (!provider) {
+    throw createHttpError(503, 'Translated subtitles need an LLM provider (set LLM_PROVIDER or OPENAI_API_KEY).');
+  }
+  return provider;
+}
+
+/**
+ * Builds the instructions for translating subtitle lines into `language`.
+ */
+function buildTranslationPrompt(language) {
+  return [
+    `You translate video subtitles into ${language.name}.`,
+    'The user sends JSON: { "language": string, "lines": string[] }.',
+    'Reply with JSON only: { "lines": string[] } holding exactly one translated line for each input line, in the same order.',
+    'Translate naturally and concisely, as subtitles are read quickly. Keep names, brands and numbers as they are.',
+    'Never merge, split, drop or explain lines.'
+  ].join('\n');
+}
+
+/**
+ * Returns the translated lines of a model reply, or an error message when the
+ * reply is not JSON holding `count` strings.
+ */
+function readTranslationReply(reply, count) {
+  const cleaned = (reply || '').replace(/```json/g, '').replace(/```/g, '').trim();
+  let parsed;
+  try {
+    parsed = JSON.parse(cleaned);
+  } catch (err) {
+    return { error: `response is not valid JSON (${err.message})` };
+  }
+
+  const lines = parsed?.lines;
+  if (!Array.isArray(lines) || !lines.every(line => typeof line === 'string')) {
+    return { error: '"lines" must be an array of strings' };
+  }
+  if (lines.length !== count) {
+    return { error: `"lines" has ${lines.length} entries but ${count} were sent` };
+  }
+  return { lines };
+}
+
+/**
+ * Translates one batch of lines, sending invalid replies back for repair.
+ */
+async function translateLines(provider, lines, language) {
+  const messages = [
+    { role: 'system', content: buildTranslationPrompt(language) },
+    { role: 'user', content: JSON.stringify({ language: language.name, lines }) }
+  ];
+
+  let error;
+  for (let attempt = 0; attempt <= TRANSLATE_REPAIR_RETRIES; attempt++) {
+    const reply = await provider.chat(messages);
+    const result = readTranslationReply(reply, lines.length);
+    if (result.lines) return result.lines;
+
+    error = result.error;
+    console.warn(`🔁 Invalid translation reply (attempt ${attempt + 1}):`, error);
+    messages.push(
+      { role: 'assistant', content: reply || '' },
+      { role: 'user', content: `Your previous response was invalid: ${error}. Respond again with the corrected JSON only.` }
+    );
+  }
+
+  throw createHttpError(502, `Could not translate the subtitles into ${language.name}: ${error}.`);
+}
+
+/**
+ * Translates cues of { index, start, end, text } into `language` (see
+ * resolveLanguage), keeping every cue's timing.
+ */
+async function translateCues(cues, language) {
+  const provider = requireTranslator();
+  const translated = [];
+  for (let i = 0; i < cues.length; i += TRANSLATE_BATCH_SIZE) {
+    const batch = cues.slice(i, i + TRANSLATE_BATCH_SIZE);
+    // Line breaks inside a cue are re-wrapped later, so they are not sent
+    const lines = await translateLines(provider, batch.map(cue => cue.text.replace(/\s+/g, ' ').trim()), language);
+    translated.push(...batch.map((cue, j) => ({ ...cue, text: lines[j].trim() || cue.text })));
+  }
+  return translated;
+}
+
+export { requireTranslator, translateCues };
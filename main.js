@@ -6,12 +6,23 @@ import express from 'express';
 import multer from 'multer';
 import path from 'path';
 import fs from 'fs';
-import { fileURLToPath } from 'url';
-import OpenAI from 'openai';
-import { PassThrough } from 'stream';
-import { exec } from 'child_process';
 import cors from 'cors';
-import { spawn } from 'child_process';
+import {
+  rootDir, uploadDir, cutsDir, audioDir, imagesDir, tracksDir, subtitlesDir, sessionsDir, tempDir,
+  isSafeFilename, getVideoPath, getVideoUrl
+} from './lib/paths.js';
+import {
+  createSession, getSession, recordVersion, moveSessionCursor, serializeSession, trackEdit
+} from './lib/sessions.js';
+import {
+  enqueueJob, getJob, serializeJob, reportProgress, cancelJob, isJobFinished, sendJobAccepted
+} from './lib/jobs.js';
+import { parsePrompt } from './lib/prompt.js';
+import { loadTranscript, requireTranscriber, transcribeVideo, editTranscript } from './lib/transcript-store.js';
+import { formatSubtitles } from './lib/subtitles.js';
+import { listFonts } from './lib/fonts.js';
+import { listTemplates, getTemplate, describeTemplate, registerTemplate, deleteTemplate } from './lib/templates.js';
+import { getAction, listActions, validateActionParams, prepareAction } from './lib/actions/index.js';
 
 const app = express();
 
@@ -34,37 +45,6 @@ app.use(express.json());
 
 const port = process.env.PORT || 5001;
 
-
-// ============================
-// OpenAI Client
-// ============================
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
-
-// ============================
-// Directory Setup
-// ============================
-
-
-// ============================
-// Safe Paths Setup
-// ============================
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-const ensureDirExists = (dirPath) => {
-  if (!fs.existsSync(dirPath)) fs.mkdirSync(dirPath, { recursive: true });
-};
-
-const uploadDir = path.join(__dirname, 'uploads', 'videos');
-const cutsDir = path.join(__dirname, 'uploads', 'cuts');
-const audioDir = path.join(__dirname, 'uploads', 'audio');
-const subtitlesDir = path.join(__dirname, 'uploads', 'subtitles');
-const tempDir = path.join(__dirname, 'temp'); // for temporary work
-
-[uploadDir, cutsDir, audioDir, subtitlesDir, tempDir].forEach(ensureDirExists);
-
 // ============================
 // Multer Storage Setup (Stream-based)
 // ============================
@@ -92,271 +72,55 @@ const upload = multer({
   }
 });
 
-export { uploadDir, cutsDir, audioDir, subtitlesDir, tempDir, upload };
-
-// ============================
-// Middleware
-// ============================
-app.use(express.json());
-app.use('/uploads/videos', express.static(uploadDir));
-app.use('/downloads', express.static(path.join(__dirname, 'downloads')));
-app.use('/uploads/cuts', express.static(path.join(__dirname, 'uploads/cuts')));
-
-
-// ============================
-// Time Conversion Utilities
-// ============================
-
-/**
- * Converts a time string (HH:MM:SS) into total seconds.
- */
-function timeToSeconds(time) {
-  const [hours, minutes, seconds] = time.split(':').map(Number);
-  return (hours * 3600) + (minutes * 60) + seconds;
-}
-
-/**
- * Converts a number of seconds into a time string (HH:MM:SS).
- */
-function secondsToTime(seconds) {
-  const h = Math.floor(seconds / 3600).toString().padStart(2, '0');
-  const m = Math.floor((seconds % 3600) / 60).toString().padStart(2, '0');
-  const s = Math.floor(seconds % 60).toString().padStart(2, '0');
-  return `${h}:${m}:${s}`;
-}
-
-/**
- * Resolves relative time expressions (like "start", "end", or "end-00:00:10") into HH:MM:SS.
- */
-function resolveRelativeTime(timeStr, videoDuration) {
-  if (timeStr === "start" || timeStr === "beginning") {
-    return "00:00:00";
-  }
-
-  if (timeStr === "end") {
-    return secondsToTime(videoDuration);
-  }
-
-  if (timeStr.startsWith("end-")) {
-    const subtractStr = timeStr.replace("end-", "");
-    const subtractSeconds = timeToSeconds(subtractStr);
-    const adjustedSeconds = videoDuration - subtractSeconds;
-    const safeSeconds = adjustedSeconds >= 0 ? adjustedSeconds : 0;
-    return secondsToTime(safeSeconds);
-  }
-
-  return timeStr; // Already in HH:MM:SS
-}
-
-// ============================
-// File/Video Utility
-// ============================
-
-/**
- * Checks common directories for the video file and returns the full path if found.
- */
-function getVideoPath(filename) {
-  const searchDirs = [uploadDir, cutsDir];
-  for (const dir of searchDirs) {
-    const fullPath = path.join(dir, filename);
-    console.log("🔎 Checking:", fullPath);
-
-    if (fs.existsSync(fullPath)) {
-      return fullPath;
+// Overlay images (logos, watermarks) are kept apart from videos
+const imageUpload = multer({
+  storage: multer.diskStorage({
+    destination: (_, file, cb) => cb(null, imagesDir),
+    filename: (_, file, cb) => {
+      const ext = path.extname(file.originalname).toLowerCase();
+      cb(null, `image-${Date.now()}-${Math.round(Math.random() * 1e9)}${ext}`);
     }
+  }),
+  limits: {
+    fileSize: 10 * 1024 * 1024
+  },
+  fileFilter: (_, file, cb) => {
+    const extOk = /\.(png|jpe?g|webp)$/i.test(file.originalname);
+    const mimeOk = /^image\//.test(file.mimetype);
+    cb(null, extOk && mimeOk);
   }
+});
 
-  console.warn("❌ File not found:", filename);
-  return null;
-}
-
-/**
- * Gets the duration of a video file in seconds using ffprobe.
- */
-function getVideoDuration(filePath) {
-  return new Promise((resolve, reject) => {
-    const cmd = `ffprobe -v error -show_entries format=duration -of default=noprint_wrappers=1:nokey=1 "${filePath}"`;
-
-    exec(cmd, (err, stdout) => {
-      if (err) {
-        return reject(err);
-      }
-
-      const duration = parseFloat(stdout.trim());
-      resolve(duration);
-    });
-  });
-}
-
-// ============================
-// Overlay Positioning
-// ============================
-
-/**
- * Returns the x and y coordinates based on a named position.
- */
-function getPositionXY(position) {
-  const positions = {
-    "top-left": { x: 20, y: 20 },
-    "top-center": { x: "(main_w-text_w)/2", y: 20 },
-    "top-right": { x: "main_w-text_w-20", y: 20 },
-    "bottom-left": { x: 20, y: "main_h-text_h-20" },
-    "bottom-center": { x: "(main_w-text_w)/2", y: "main_h-text_h-20" },
-    "bottom-right": { x: "main_w-text_w-20", y: "main_h-text_h-20" },
-    "center": { x: "(main_w-text_w)/2", y: "(main_h-text_h)/2" }
-  };
-
-  if (positions[position]) {
-    return positions[position];
-  }
-
-  return positions["center"];
-}
-
-/**
- * Generates the drawtext FFmpeg command from structured overlay data.
- */
-function generateDrawtextCommand(data) {
-  const { x, y } = getPositionXY(data.position);
-  const start = data.start_time;
-  const end = data.start_time === "END" ? "END" : start + data.duration;
-  const fontsize = data.fontsize || 36;
-  const fontFile = data.bold
-    ? ":fontfile=/System/Library/Fonts/Supplemental/Arial Bold.ttf"
-    : "";
-
-  const drawtext = `drawtext=text='${data.text}':x=${x}:y=${y}:fontsize=${fontsize}:fontcolor=${data.color}${fontFile}:enable='between(t,${start},${end})'`;
-  console.log("🎬 FFmpeg drawtext command:", drawtext);
-
-  return drawtext;
-}
-
-// ============================
-// Prompt Parsing for Overlays
-// ============================
-
-/**
- * Parses a natural language overlay prompt into structured overlay command data.
- */
-function parseOverlayPrompt(prompt) {
-  const result = {
-    text: '',
-    start_time: 0,
-    duration: 3,
-    color: 'white',
-    position: 'center',
-    bold: false,
-    fontsize: 64
-  };
-
-  // Font size
-  const fontSizeMap = {
-    "small": 24,
-    "medium": 36,
-    "large": 48,
-    "big": 48,
-    "huge": 60,
-    "extra large": 80
-  };
-  const fontSizeMatch = prompt.match(/(extra large|huge|big|large|medium|small)/i);
-  if (fontSizeMatch) {
-    const sizeKey = fontSizeMatch[1].toLowerCase();
-    result.fontsize = fontSizeMap[sizeKey];
-  }
-
-  // Extract quoted or fallback text
-  const quoteMatch = prompt.match(/['"](.+?)['"]/);
-  const rawTextMatch = prompt.match(/(?:add|put)\s+([a-zA-Z0-9!?,.' ]+)/i);
-  if (quoteMatch) {
-    result.text = quoteMatch[1];
-  } else if (rawTextMatch) {
-    result.text = rawTextMatch[1];
-  } else {
-    result.text = 'Text';
-  }
-
-  // Time extraction
-  const timeMatch = prompt.match(/(?:at|minute)\s*(\d{1,2}):?(\d{2})?/i);
-  const endMatch = /at (the end|end of the video)/i.test(prompt);
-  const startMatch = /at (the start|start of the video)/i.test(prompt);
-
-  if (timeMatch) {
-    const minutes = parseInt(timeMatch[1]) || 0;
-    const seconds = parseInt(timeMatch[2]) || 0;
-    result.start_time = (minutes * 60) + seconds;
-  } else if (endMatch) {
-    result.start_time = "END";
-  } else if (startMatch) {
-    result.start_time = 0;
-  }
-
-  // Duration
-  const durationMatch = prompt.match(/for (\d+) seconds/);
-  if (durationMatch) {
-    result.duration = parseInt(durationMatch[1]);
-  }
-
-  // Color
-  const knownColors = ['red', 'blue', 'green', 'white', 'black', 'yellow', 'purple', 'orange', 'pink', 'gray'];
-  const colorMatch = prompt.match(/in (\w+)/i);
-  if (colorMatch) {
-    const potentialColor = colorMatch[1].toLowerCase();
-    if (knownColors.includes(potentialColor)) {
-      result.color = potentialColor;
+// Music and voice-over tracks for add_music
+const trackUpload = multer({
+  storage: multer.diskStorage({
+    destination: (_, file, cb) => cb(null, tracksDir),
+    filename: (_, file, cb) => {
+      const ext = path.extname(file.originalname).toLowerCase();
+      cb(null, `track-${Date.now()}-${Math.round(Math.random() * 1e9)}${ext}`);
     }
+  }),
+  limits: {
+    fileSize: 50 * 1024 * 1024
+  },
+  fileFilter: (_, file, cb) => {
+    const extOk = /\.(mp3|wav|m4a)$/i.test(file.originalname);
+    const mimeOk = /^audio\//.test(file.mimetype);
+    cb(null, extOk && mimeOk);
   }
+});
 
-  // Position
-  const posMatch = prompt.match(/(top-left|top-right|top-center|bottom-left|bottom-right|bottom-center|center)/i);
-  if (posMatch) {
-    result.position = posMatch[1].toLowerCase();
-  } else {
-    if (/top/i.test(prompt)) result.position = "top-center";
-    if (/bottom/i.test(prompt)) result.position = "bottom-center";
-    if (/left/i.test(prompt)) result.position = "top-left";
-    if (/right/i.test(prompt)) result.position = "top-right";
-  }
-
-  // Bold
-  if (/bold/i.test(prompt)) {
-    result.bold = true;
-  }
-
-  // Normalize aliases like "left" → "top-left"
-  if (result.position === "right") result.position = "top-right";
-  if (result.position === "left") result.position = "top-left";
-  if (result.position === "bottom") result.position = "bottom-center";
-  if (result.position === "top") result.position = "top-center";
-
-  console.log("🧠 Parsed Overlay:", result);
-  return result;
-}
+export { uploadDir, cutsDir, audioDir, imagesDir, tracksDir, subtitlesDir, sessionsDir, tempDir, upload };
 
 // ============================
-// Misc Utilities
+// Middleware
 // ============================
-
-/**
- * Parses expressions like "end-00:00:05" and returns the resolved time in seconds.
- */
-function parseEndExpression(expression, durationSeconds) {
-  if (!expression) return null;
-
-  if (expression === 'end') {
-    return durationSeconds;
-  }
-
-  const match = expression.match(/^end-(\d{2}):(\d{2}):(\d{2})$/);
-  if (match) {
-    const hh = parseInt(match[1], 10);
-    const mm = parseInt(match[2], 10);
-    const ss = parseInt(match[3], 10);
-    const offset = (hh * 3600) + (mm * 60) + ss;
-    return durationSeconds - offset;
-  }
-
-  return expression; // fallback
-}
+app.use(express.json());
+app.use('/uploads/videos', express.static(uploadDir));
+app.use('/downloads', express.static(path.join(rootDir, 'downloads')));
+app.use('/uploads/cuts', express.static(path.join(rootDir, 'uploads/cuts')));
+app.use('/uploads/images', express.static(imagesDir));
+app.use('/uploads/tracks', express.static(tracksDir));
 
 
 // ============================
@@ -395,901 +159,631 @@ app.post('/api/upload', upload.single('video'), (req, res) => {
   }
 });
 
-/**
- * POST /api/parse-prompt
- * Parses a user's prompt and returns structured editing commands
- */
-console.log('Defining route: /api/parse-prompt');
-app.post('/api/parse-prompt', async (req, res) => {
-  const { prompt } = req.body;
-
-  if (!prompt) {
-    return res.status(400).json({ success: false, message: 'No prompt provided' });
+// ============================
+// POST /api/upload-image
+// ============================
+// Stores a PNG/JPEG/WebP for add_image_overlay; the returned filename is its "image" parameter.
+console.log('Defining route: /api/upload-image');
+app.post('/api/upload-image', imageUpload.single('image'), (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ success: false, message: 'No PNG, JPEG or WebP image uploaded.' });
   }
 
-  try {
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4o",
-      messages: [
-        {
-          role: "system",
-
-         content: `
-                    You are a strict parser for a video-editing CLI. Output pure JSON only.
-
-                    ---
-
-                    Available actions:
-                    • cut — extract only the given segment
-                    • remove_segment — delete the given segment
-                    • add_subtitles — add subtitles
-                    • export — export video
-                    • undo — undo the last edit
-                    • add_overlay — overlay text on the video
-                    • extract_audio — extract audio as .mp3 or .wav
-                    • slow_motion — apply slow motion to a part of the video
-
-                    ---
-
-                    Timestamps must be full HH:MM:SS or keywords:
-                    • "start" or "beginning" → 00:00:00
-                    • "end" → end of video
-                    • "end-00:00:10" → 10 seconds before the end
-
-                    ---
-
-                    Rules:
-                    - If the prompt says “remove” or “delete”, use "remove_segment"
-                    - If it says “cut”, “clip”, or “extract”, use "cut"
-                    - If the user says undo or reverse, return { "action": "undo" }
-                    - If the user says redo or do again, return { "action": "redo" }
-                    - Always respond with pure JSON: { "actions": [ { ... } ] }
-                    - If the prompt says “Add 'text'...” or “Put 'text'...” (e.g., “Add 'Subscribe Now' at the end”), use action "add_overlay"
-                    - For overlays, return: 
-                      {
-                        "action": "add_overlay",
-                        "prompt": "[the full prompt text]"
-                      }
-                    - If the prompt includes "extract audio" or "convert to mp3/wav", use "extract_audio"
-                    - Default format is "mp3" unless user says "wav"
-                    - Return: { "action": "extract_audio", "format": "mp3" }
-                    - If the prompt says “slow motion” or “slow down”, use "slow_motion"
-                  - Default speed = 0.5 unless otherwise specified
-                  - Examples:
-                    - “Slow motion from 3:00 to 3:30”
-                      → { "action": "slow_motion", "start": "00:03:00", "end": "00:03:30", "speed": 0.5 }
-
-                    - “Add slow motion from the beginning to 0:30”
-                      → { "action": "slow_motion", "start": "start", "end": "00:00:30", "speed": 0.5 }
-
-                    - “Apply slow motion from 0:40 till the end”
-                      → { "action": "slow_motion", "start": "00:00:40", "end": "end", "speed": 0.5 }
-
-                    - “Make 1:10 to 1:20 2x slower”
-                      → { "action": "slow_motion", "start": "00:01:10", "end": "00:01:20", "speed": 0.5 }
-
-                    - “Slow down clip from 2:00 to 2:30 to 25% speed”
-                      → { "action": "slow_motion", "start": "00:02:00", "end": "00:02:30", "speed": 0.25 }
-                    
-                      - If the user says "slow down the whole video" or "make entire video slower", return:
-                          {
-                            "action": "slow_motion",
-                            "start": "start",
-                            "end": "end",
-                            "speed": 0.5
-                          }
-                       - If a speed like "25% speed" or "make it 2x slower" is mentioned, calculate the speed:
-                            - "2x slower" → 0.5
-                            - "half speed" → 0.5
-                            - "quarter speed" → 0.25
-                            - "75% speed" → 0.75
-                    ---
-
-                    Examples:
-                    - “Remove the last 5 seconds”  
-                      → { "actions": [ { "action": "remove_segment", "start": "end-00:00:05", "end": "end" } ] }
-
-                    - “Cut the last 10 seconds”  
-                      → { "actions": [ { "action": "cut", "start": "end-00:00:10", "end": "end" } ] }
-
-                    - “Trim the first 10 seconds”  
-                      → { "actions": [ { "action": "remove_segment", "start": "00:00:00", "end": "00:00:10" } ] }
-
-                    - “Undo that”  
-                      → { "actions": [ { "action": "undo" } ] }
-
-                    - “Add 'Subscribe Now' at the end in red top-right bold text”
-                        → { "actions": [ { "action": "add_overlay", "prompt": "Add 'Subscribe Now' at the end in red top-right bold text" } ] }
-
-               
-                    `
-        },
-        {
-          role: "user",
-          content: prompt
-        }
-      ]
-    });
-
-    let gptResponse = completion.choices[0].message.content;
-    console.log("GPT Response:", gptResponse);
+  return res.status(200).json({
+    success: true,
+    filename: req.file.filename,
+    url: `/uploads/images/${req.file.filename}`
+  });
+});
 
-    // Remove markdown formatting if any
-    gptResponse = gptResponse.replace(/```json/g, '').replace(/```/g, '').trim();
+// ============================
+// POST /api/upload-audio
+// ============================
+// Stores an MP3/WAV/M4A for add_music; the returned filename is its "track" parameter.
+console.log('Defining route: /api/upload-audio');
+app.post('/api/upload-audio', trackUpload.single('audio'), (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ success: false, message: 'No MP3, WAV or M4A file uploaded.' });
+  }
 
-    const parsed = JSON.parse(gptResponse);
-    const actions = parsed.actions;
+  return res.status(200).json({
+    success: true,
+    filename: req.file.filename,
+    url: `/uploads/tracks/${req.file.filename}`
+  });
+});
 
-    const supportedActions = [
-      'cut', 'trim', 'add_subtitles', 'export',
-      'remove_segment', 'undo', 'add_overlay',
-      'extract_audio', 'slow_motion'
-    ];
+// ============================
+// GET /api/fonts
+// ============================
+// Lists the font families installed for text overlays (the "font" of an add_overlay spec).
+console.log('Defining route: /api/fonts');
+app.get('/api/fonts', (_, res) => {
+  return res.status(200).json({ success: true, fonts: listFonts() });
+});
 
-    for (const act of actions) {
-      if (!supportedActions.includes(act.action)) {
-        return res.status(400).json({
-          success: false,
-          message: `The requested action '${act.action}' is not currently supported.`
-        });
-      }
-    }
+// ============================
+// Template Routes
+// ============================
 
-    return res.status(200).json({ success: true, actions });
+/**
+ * GET /api/templates
+ * Lists the registered intro, outro and lower-third templates with their variables
+ */
+console.log('Defining route: /api/templates');
+app.get('/api/templates', (_, res) => {
+  return res.status(200).json({ success: true, templates: listTemplates().map(describeTemplate) });
+});
 
-  } catch (error) {
-    console.error("Error parsing prompt:", error);
-    return res.status(500).json({
-      success: false,
-      message: "Failed to parse prompt",
-      error: error.message
-    });
+/**
+ * GET /api/templates/:name
+ * Returns one template
+ */
+app.get('/api/templates/:name', (req, res) => {
+  const template = getTemplate(req.params.name);
+  if (!template) {
+    return res.status(404).json({ success: false, message: 'Template not found.' });
   }
+
+  return res.status(200).json({ success: true, template: describeTemplate(template) });
 });
 
 /**
- * POST /api/cut-video
- * Cuts a segment from the video between start and end times
+ * POST /api/templates
+ * Registers a template: { name, kind: 'intro'|'outro'|'lower_third', clip | card, overlays, defaults, ... }.
+ * "clip" is an uploaded video, copied so the template keeps working after the upload is gone.
+ * Set "replace": true to overwrite an existing template of the same name
  */
-console.log('Defining route: /api/cut-video');
-app.post('/api/cut-video', async (req, res) => {
-  const { filename, start, end } = req.body;
-
-  // Validate input presence
-  if (!filename || !start || !end) {
-    return res.status(400).json({ success: false, message: 'Missing required fields: filename, start, and end.' });
-  }
+app.post('/api/templates', (req, res) => {
+  const { replace, ...definition } = req.body;
 
-  // Sanitize filename
-  if (
-    filename.includes('..') ||
-    filename.includes('/') ||
-    filename.includes('\\')
-  ) {
-    return res.status(400).json({ success: false, message: 'Invalid filename.' });
+  try {
+    const template = registerTemplate(definition, { replace: replace === true });
+    return res.status(201).json({ success: true, template: describeTemplate(template) });
+  } catch (err) {
+    return res.status(err.status || 500).json({ success: false, message: err.status ? err.message : 'Could not save the template.' });
   }
+});
 
-  const inputFilePath = getVideoPath(filename);
-  if (!inputFilePath) {
-    return res.status(404).json({ success: false, message: 'Video file not found.' });
+/**
+ * DELETE /api/templates/:name
+ * Removes a template and its stored clip
+ */
+app.delete('/api/templates/:name', (req, res) => {
+  if (!deleteTemplate(req.params.name)) {
+    return res.status(404).json({ success: false, message: 'Template not found.' });
   }
 
-  // Run ffprobe to get duration
-  exec(`ffprobe -v error -show_entries format=duration -of default=noprint_wrappers=1:nokey=1 "${inputFilePath}"`, (error, stdout) => {
-    if (error) {
-      console.error("ffprobe error:", error);
-      return res.status(500).json({ success: false, message: 'Failed to analyze video duration.', error: error.message });
-    }
+  return res.status(200).json({ success: true });
+});
 
-    const videoDuration = parseFloat(stdout);
-    const resolvedStart = resolveRelativeTime(start, videoDuration);
-    const resolvedEnd = resolveRelativeTime(end, videoDuration);
+// ============================
+// Edit Session Routes
+// ============================
 
-    // Ensure valid time formats
-    const timeFormatRegex = /^([0-1]?\d|2[0-3]):([0-5]\d):([0-5]\d)$/;
-    if (!timeFormatRegex.test(resolvedStart) || !timeFormatRegex.test(resolvedEnd)) {
-      return res.status(400).json({ success: false, message: 'Invalid time format. Use HH:MM:SS.' });
-    }
+/**
+ * POST /api/sessions
+ * Starts an edit session for an uploaded video
+ */
+console.log('Defining route: /api/sessions');
+app.post('/api/sessions', (req, res) => {
+  const { filename } = req.body;
 
-    const startSeconds = timeToSeconds(resolvedStart);
-    const endSeconds = timeToSeconds(resolvedEnd);
+  if (!isSafeFilename(filename)) {
+    return res.status(400).json({ success: false, message: 'Invalid filename.' });
+  }
 
-    if (endSeconds <= startSeconds) {
-      return res.status(400).json({ success: false, message: 'End time must be after start time.' });
-    }
+  if (!getVideoPath(filename)) {
+    return res.status(404).json({ success: false, message: 'Video file not found.' });
+  }
 
-    let adjustedEnd = resolvedEnd;
-    if (endSeconds > videoDuration) {
-      adjustedEnd = secondsToTime(videoDuration);
-    }
+  const session = createSession(filename);
+  return res.status(201).json({ success: true, session: serializeSession(session) });
+});
 
-    // Build FFmpeg cut command
-            const ffmpeg = spawn('ffmpeg', [
-          '-i', inputFilePath,
-          '-ss', resolvedStart,
-          '-to', adjustedEnd,
-          '-c:v', 'libx264',
-          '-preset', 'fast',
-          '-crf', '23',
-          '-c:a', 'aac',
-          '-b:a', '192k',
-          '-y', // Overwrite if file exists
-          outputFilePath
-        ]);
-        
-        ffmpeg.stderr.on('data', (data) => {
-          console.log(`ffmpeg stderr: ${data}`);
-        });
-        
-        ffmpeg.on('close', (code) => {
-          if (code === 0) {
-            const fileUrl = `/uploads/cuts/${outputFilename}`;
-            return res.status(200).json({
-              success: true,
-              message: 'Video cut successfully.',
-              url: fileUrl
-            });
-          } else {
-            return res.status(500).json({ success: false, message: 'Video cut failed.', code });
-          }
-        });
+/**
+ * GET /api/sessions/:id
+ * Returns the session with its full version history
+ */
+app.get('/api/sessions/:id', (req, res) => {
+  const session = getSession(req.params.id);
+  if (!session) {
+    return res.status(404).json({ success: false, message: 'Session not found.' });
+  }
 
-  });
+  return res.status(200).json({ success: true, session: serializeSession(session) });
 });
 
 /**
- * GET /force-download/:filename
- * Forces download of an output file by filename
+ * GET /api/sessions/:id/versions
+ * Lists every version produced in the session
  */
-console.log('Defining route: /api/force-download');
-app.get('/force-download/:filename', (req, res) => {
-  const filename = req.params.filename;
-  const filePath = path.join(__dirname, 'downloads', filename);
-
-  if (!fs.existsSync(filePath)) {
-    return res.status(404).send('File not found');
+app.get('/api/sessions/:id/versions', (req, res) => {
+  const session = getSession(req.params.id);
+  if (!session) {
+    return res.status(404).json({ success: false, message: 'Session not found.' });
   }
 
-  return res.download(filePath); // Triggers browser download
+  const { cursor, versions } = serializeSession(session);
+  return res.status(200).json({ success: true, cursor, versions });
 });
 
-
-// ============================
-// POST /api/add-overlay
-// ============================
-// Adds overlay text to a video based on natural language prompt.
-console.log('Defining route: /api/add-overlay');
-app.post('/api/add-overlay', async (req, res) => {
-  const { prompt, filename } = req.body;
-
-  // ❌ Reject if required fields are missing or unsafe
-  if (!prompt || !filename || filename.includes('..') || filename.includes('/') || filename.includes('\\')) {
-    return res.status(400).json({ success: false, message: 'Invalid prompt or filename.' });
+/**
+ * POST /api/sessions/:id/undo
+ * Steps back to the previous version
+ */
+console.log('Defining route: /api/sessions/:id/undo');
+app.post('/api/sessions/:id/undo', (req, res) => {
+  const session = getSession(req.params.id);
+  if (!session) {
+    return res.status(404).json({ success: false, message: 'Session not found.' });
   }
 
-  const inputFilePath = getVideoPath(filename);
-  if (!inputFilePath) {
-    return res.status(404).json({ success: false, message: 'Video file not found.' });
+  if (session.cursor === 0) {
+    return res.status(409).json({ success: false, message: 'Nothing to undo.' });
   }
 
-  const overlayData = parseOverlayPrompt(prompt);
+  moveSessionCursor(session, session.cursor - 1);
+  const serialized = serializeSession(session);
+  return res.status(200).json({ success: true, url: serialized.current.url, session: serialized });
+});
 
-  // 🕒 If 'END' is used, calculate actual start time based on video duration
-  if (overlayData.start_time === 'END') {
-    try {
-      const durationSeconds = await getVideoDuration(inputFilePath);
-      overlayData.start_time = Math.floor(durationSeconds - overlayData.duration);
-    } catch (err) {
-      console.error("Failed to get duration:", err);
-      return res.status(500).json({ success: false, message: 'Failed to get video duration.', error: err.message });
-    }
+/**
+ * POST /api/sessions/:id/redo
+ * Re-applies the version that was last undone
+ */
+console.log('Defining route: /api/sessions/:id/redo');
+app.post('/api/sessions/:id/redo', (req, res) => {
+  const session = getSession(req.params.id);
+  if (!session) {
+    return res.status(404).json({ success: false, message: 'Session not found.' });
   }
 
-  const drawtextCommand = generateDrawtextCommand(overlayData);
-  const outputFilename = `overlay-${Date.now()}-${Math.floor(Math.random() * 1e9)}${path.extname(filename)}`;
-  const outputFilePath = path.join(cutsDir, outputFilename);
-
-  const ffmpegArgs = [
-    '-y', '-i', inputFilePath,
-    '-vf', drawtextCommand,
-    '-c:v', 'libx264',
-    '-preset', 'fast',
-    '-crf', '23',
-    '-c:a', 'copy',
-    outputFilePath
-  ];
-
-  const ffmpeg = spawn('ffmpeg', ffmpegArgs);
-
-  ffmpeg.stderr.on('data', data => {
-    console.log(`📼 FFmpeg stderr: ${data}`);
-  });
-
-  ffmpeg.on('close', code => {
-    if (code === 0) {
-    fs.unlink(inputFilePath, (err) => {
-        if (err) console.error("Cleanup error:", err);
-      });
-      return res.status(200).json({
-        success: true,
-        message: 'Overlay added.',
-        url: `/uploads/cuts/${outputFilename}`
-      });
-    
-    } else {
-      return res.status(500).json({ success: false, message: 'Overlay failed.', code });
-    }
-  });
+  if (session.cursor >= session.versions.length - 1) {
+    return res.status(409).json({ success: false, message: 'Nothing to redo.' });
+  }
 
-  ffmpeg.on('error', err => {
-    return res.status(500).json({ success: false, message: 'Failed to start FFmpeg.', error: err.message });
-  });
+  moveSessionCursor(session, session.cursor + 1);
+  const serialized = serializeSession(session);
+  return res.status(200).json({ success: true, url: serialized.current.url, session: serialized });
 });
 
+/**
+ * POST /api/sessions/:id/jump
+ * Makes any version in the history the current one
+ */
+console.log('Defining route: /api/sessions/:id/jump');
+app.post('/api/sessions/:id/jump', (req, res) => {
+  const session = getSession(req.params.id);
+  if (!session) {
+    return res.status(404).json({ success: false, message: 'Session not found.' });
+  }
 
+  const version = Number(req.body.version);
+  if (!Number.isInteger(version) || version < 0 || version >= session.versions.length) {
+    return res.status(400).json({ success: false, message: `Version must be between 0 and ${session.versions.length - 1}.` });
+  }
 
+  moveSessionCursor(session, version);
+  const serialized = serializeSession(session);
+  return res.status(200).json({ success: true, url: serialized.current.url, session: serialized });
+});
 
 // ============================
-// POST /api/slow-motion
+// Transcript Routes
 // ============================
-// Applies slow motion to a video segment
-console.log('Defining route: /api/slow-motion');
-app.post('/api/slow-motion', async (req, res) => {
-  const { filename, start, end, speed } = req.body;
-  const TIMEOUT_MS = 120000;
 
+/**
+ * POST /api/transcripts
+ * Transcribes a video with word timestamps (queued) and stores the transcript;
+ * an already stored transcript is returned right away unless "force" is set.
+ * An optional "vocabulary" (brand names, jargon) is passed to the provider as its prompt
+ */
+console.log('Defining route: /api/transcripts');
+app.post('/api/transcripts', (req, res) => {
+  const { filename, force, vocabulary = [] } = req.body;
 
-  // 1️⃣ Validate input
-  if (!filename || !start || !end || !speed) {
-    return res.status(400).json({ success: false, message: 'Missing filename, start, end or speed.' });
+  if (!isSafeFilename(filename)) {
+    return res.status(400).json({ success: false, message: 'Invalid filename.' });
+  }
+  if (!Array.isArray(vocabulary) || !vocabulary.every(term => typeof term === 'string')) {
+    return res.status(400).json({ success: false, message: 'vocabulary must be an array of words or phrases.' });
   }
 
   const inputPath = getVideoPath(filename);
   if (!inputPath) {
-    return res.status(404).json({ success: false, message: 'Video not found.' });
+    return res.status(404).json({ success: false, message: 'Video file not found.' });
+  }
+
+  const stored = loadTranscript(filename);
+  if (stored && !force) {
+    return res.status(200).json({ success: true, transcript: stored });
   }
 
-  // 2️⃣ Get video duration
-  let fullDur;
   try {
-    fullDur = await getVideoDuration(inputPath);
+    requireTranscriber();
   } catch (err) {
-    return res.status(500).json({ success: false, message: 'Could not probe duration.' });
+    return res.status(err.status).json({ success: false, message: err.message });
   }
 
-  // 3️⃣ Normalize start/end
-  const normalizeTime = (t) => {
-    if (t === 'start') return '00:00:00';
-    if (t === 'end') return secondsToTime(fullDur);
-    if (t.startsWith('end-')) {
-      const subtract = timeToSeconds(t.replace('end-', ''));
-      return secondsToTime(Math.max(0, fullDur - subtract));
-    }
-    return t;
-  };
+  const job = enqueueJob('transcribe', { filename }, async (job) => ({
+    message: 'Transcript ready.',
+    transcript: await transcribeVideo(inputPath, { job }, { vocabulary })
+  }));
+  return sendJobAccepted(res, job);
+});
 
-  const sHH = normalizeTime(start);
-  const eHH = normalizeTime(end);
-  const sSec = timeToSeconds(sHH);
-  const eSec = timeToSeconds(eHH);
+/**
+ * GET /api/transcripts/:filename
+ * Returns the stored word-level transcript of a video
+ */
+console.log('Defining route: /api/transcripts/:filename');
+app.get('/api/transcripts/:filename', (req, res) => {
+  const { filename } = req.params;
 
-  if (sSec >= eSec || eSec > fullDur) {
-    return res.status(400).json({ success: false, message: 'Invalid time range.' });
+  if (!isSafeFilename(filename)) {
+    return res.status(400).json({ success: false, message: 'Invalid filename.' });
   }
 
-  // 4️⃣ Parse and validate speed
-  const sp = parseFloat(speed);
-  if (isNaN(sp) || sp <= 0 || sp > 5) {
-    return res.status(400).json({ success: false, message: 'Speed must be between 0.1 and 5.' });
+  const transcript = loadTranscript(filename);
+  if (!transcript) {
+    return res.status(404).json({ success: false, message: 'No transcript for this video yet.' });
   }
 
-  const origLen = eSec - sSec;
-  const slowLen = origLen / sp;
-
-  // 5️⃣ Setup output paths
-  const ext = path.extname(filename);
-  const uid = `${Date.now()}-${Math.round(Math.random() * 1e6)}`;
-  const partA = start === 'start' ? null : path.join(cutsDir, `pre-${uid}${ext}`);
-  const partB = path.join(cutsDir, `slow-${uid}${ext}`);
-  const partC = end === 'end' ? null : path.join(cutsDir, `post-${uid}${ext}`);
-  const listTxt = path.join(cutsDir, `list-${uid}.txt`);
-  const outputFinal = path.join(cutsDir, `slowmo-${uid}${ext}`);
-
-  // 6️⃣ Build FFmpeg commands
-  
-  const cmds = [];
-
-  if (partA) {
-    cmds.push({
-      path: partA,
-      args: ['-nostdin', '-threads', '1', '-ss', '0', '-i', inputPath, '-t', `${sSec}`, '-c', 'copy', partA]
-    });
-  }
+  return res.status(200).json({ success: true, transcript });
+});
 
-  cmds.push({
-    path: partB,
-    args: [
-      '-nostdin', '-threads', '1',
-      '-ss', `${sSec}`, '-i', inputPath, '-t', `${origLen}`,
-      '-filter_complex', `[0:v]setpts=${1 / sp}*PTS[v];[0:a]atempo=${sp}[a]`,
-      '-map', '[v]', '-map', '[a]', '-t', `${slowLen}`, partB
-    ]
-  });
+/**
+ * GET /api/videos/:id/transcript
+ * Returns the subtitle cues of a video's transcript as JSON, or as an SRT/VTT
+ * file with ?format=srt|vtt
+ */
+console.log('Defining route: /api/videos/:id/transcript');
+app.get('/api/videos/:id/transcript', (req, res) => {
+  const { id } = req.params;
+  const { format } = req.query;
 
-  if (partC) {
-    cmds.push({
-      path: partC,
-      args: ['-nostdin', '-threads', '1', '-ss', `${eSec}`, '-i', inputPath, '-c', 'copy', partC]
-    });
+  if (!isSafeFilename(id)) {
+    return res.status(400).json({ success: false, message: 'Invalid filename.' });
+  }
+  if (format !== undefined && !['srt', 'vtt'].includes(format)) {
+    return res.status(400).json({ success: false, message: 'format must be srt or vtt.' });
   }
 
-
-  // 7️⃣ Execute all commands
-
-  try {
-    for (const { args } of cmds) {
-      await runFFmpeg(args, TIMEOUT_MS);
-    }
-
-    const concatList = cmds.map(i => `file '${i.path}'`).join('\n');
-    fs.writeFileSync(listTxt, concatList);
-
-    await runFFmpeg([
-      '-nostdin', '-threads', '1',
-      '-f', 'concat', '-safe', '0', '-i', listTxt,
-      '-c:v', 'libx264', '-preset', 'fast', '-crf', '23',
-      '-c:a', 'aac', outputFinal
-    ], TIMEOUT_MS);
-
-    cmds.forEach(({ path }) => fs.existsSync(path) && fs.unlinkSync(path));
-    fs.existsSync(listTxt) && fs.unlinkSync(listTxt);
-    fs.unlinkSync(inputPath); // 🔥 Delete uploaded video after processing
-
-    return res.json({ success: true, url: `/uploads/cuts/${path.basename(outputFinal)}` });
-
-  } catch (err) {
-    console.error('💥 Slow-motion failed:', err);
-    return res.status(500).json({ success: false, message: 'Processing failed.', error: err.message });
+  const transcript = loadTranscript(id);
+  if (!transcript) {
+    return res.status(404).json({ success: false, message: 'No transcript for this video yet.' });
   }
 
-  // 🔧 Local Helpers
-  function timeToSeconds(ts) {
-    const [H, M, S] = ts.split(':').map(Number);
-    return H * 3600 + M * 60 + S;
+  if (format) {
+    res.attachment(`${path.parse(id).name}.${format}`);
+    return res.type(format === 'vtt' ? 'text/vtt' : 'application/x-subrip').send(formatSubtitles(format, transcript.cues));
   }
+  return res.status(200).json({ success: true, filename: id, editedAt: transcript.editedAt, cues: transcript.cues });
+});
 
-  function secondsToTime(sec) {
-    const H = Math.floor(sec / 3600).toString().padStart(2, '0');
-    const M = Math.floor((sec % 3600) / 60).toString().padStart(2, '0');
-    const S = Math.floor(sec % 60).toString().padStart(2, '0');
-    return `${H}:${M}:${S}`;
+/**
+ * PUT /api/videos/:id/transcript
+ * Corrects the cues of a stored transcript, with the full edited list in "cues"
+ * or with "edits": [{ op: 'edit'|'merge'|'split', index, ... }] applied in order.
+ * add_subtitles renders the edited cues without transcribing again
+ */
+console.log('Defining route: PUT /api/videos/:id/transcript');
+app.put('/api/videos/:id/transcript', (req, res) => {
+  const { id } = req.params;
+
+  if (!isSafeFilename(id)) {
+    return res.status(400).json({ success: false, message: 'Invalid filename.' });
   }
-    function runFFmpeg(args, timeoutMs) {
-    return new Promise((resolve, reject) => {
-      const ffmpeg = spawn('ffmpeg', args);
-      const timeout = setTimeout(() => {
-        ffmpeg.kill('SIGKILL');
-        reject(new Error('FFmpeg timed out'));
-      }, timeoutMs);
-
-      ffmpeg.on('close', code => {
-        clearTimeout(timeout);
-        return code === 0 ? resolve() : reject(new Error(`FFmpeg exited with code ${code}`));
-      });
-
-      ffmpeg.on('error', err => {
-        clearTimeout(timeout);
-        reject(err);
-      });
-    });
+
+  try {
+    const transcript = editTranscript(id, req.body);
+    return res.status(200).json({ success: true, filename: id, editedAt: transcript.editedAt, cues: transcript.cues });
+  } catch (err) {
+    return res.status(err.status || 500).json({ success: false, message: err.status ? err.message : 'Could not save the transcript.' });
   }
 });
 
-
 // ============================
-// POST /api/extract-audio
+// Job Routes
 // ============================
-// Extracts audio from a video file as MP3 or WAV
-app.post('/api/extract-audio', async (req, res) => {
-  const { filename, format } = req.body;
-  const TIMEOUT_MS = 60000;
-
-  if (!filename) {
-    return res.status(400).json({ success: false, message: "Missing filename" });
-  }
 
-  const inputPath = path.join(__dirname, "uploads", "videos", filename);
-  if (!fs.existsSync(inputPath)) {
-    return res.status(404).json({ success: false, message: "Video file not found." });
+/**
+ * GET /api/jobs/:id
+ * Returns the status, progress and result of a queued job
+ */
+console.log('Defining route: /api/jobs/:id');
+app.get('/api/jobs/:id', (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, message: 'Job not found.' });
   }
 
-  const downloadDir = path.join(__dirname, "downloads");
-  if (!fs.existsSync(downloadDir)) {
-    fs.mkdirSync(downloadDir);
-  }
+  return res.status(200).json({ success: true, job: serializeJob(job) });
+});
 
-  let outputFormat = "mp3";
-  if (format && format.toLowerCase() === "wav") {
-    outputFormat = "wav";
-  } else if (format && format.toLowerCase() !== "mp3") {
-    return res.status(400).json({ success: false, message: "Unsupported format" });
+/**
+ * GET /api/jobs/:id/events
+ * Server-Sent Events stream of job progress; closes once the job finishes
+ */
+console.log('Defining route: /api/jobs/:id/events');
+app.get('/api/jobs/:id/events', (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, message: 'Job not found.' });
   }
 
-  const randomSuffix = `${Date.now()}-${Math.floor(Math.random() * 10000)}`;
-  const outputName = `audio-${randomSuffix}.${outputFormat}`;
-  const outputPath = path.join(downloadDir, outputName);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+
+  const send = (snapshot) => {
+    const event = isJobFinished(snapshot) ? snapshot.status : 'progress';
+    res.write(`event: ${event}\ndata: ${JSON.stringify(snapshot)}\n\n`);
+    if (isJobFinished(snapshot)) {
+      job.listeners.delete(send);
+      res.end();
+    }
+  };
 
-  const args = [
-    '-nostdin', '-threads', '1',
-    '-i', inputPath,
-    '-vn',
-    '-acodec', outputFormat === "mp3" ? 'libmp3lame' : 'pcm_s16le',
-    outputPath
-  ];
+  job.listeners.add(send);
+  req.on('close', () => job.listeners.delete(send));
+  send(serializeJob(job));
+});
 
-  try {
-    await runFFmpeg(args, TIMEOUT_MS);
-    return res.status(200).json({ success: true, url: "/downloads/" + outputName });
-  } catch (err) {
-    console.error("❌ Audio extraction error:", err.message);
-    return res.status(500).json({ success: false, message: "Audio extraction failed", error: err.message });
+/**
+ * POST /api/jobs/:id/cancel
+ * Cancels a queued or running job, killing its ffmpeg process
+ */
+console.log('Defining route: /api/jobs/:id/cancel');
+app.post('/api/jobs/:id/cancel', (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, message: 'Job not found.' });
   }
 
-  function runFFmpeg(args, timeoutMs) {
-    return new Promise((resolve, reject) => {
-      const ffmpeg = spawn('ffmpeg', args);
-      const timeout = setTimeout(() => {
-        ffmpeg.kill('SIGKILL');
-        reject(new Error('FFmpeg timed out'));
-      }, timeoutMs);
-
-      ffmpeg.on('close', code => {
-        clearTimeout(timeout);
-        return code === 0 ? resolve() : reject(new Error(`FFmpeg exited with code ${code}`));
-      });
-
-      ffmpeg.on('error', err => {
-        clearTimeout(timeout);
-        reject(err);
-      });
-    });
+  if (!cancelJob(job)) {
+    return res.status(409).json({ success: false, message: `Job already ${job.status}.`, job: serializeJob(job) });
   }
-});
-
 
+  return res.status(200).json({ success: true, message: 'Job cancellation requested.', job: serializeJob(job) });
+});
 
-// ============================
-// POST /api/add-subtitles
-// ============================
-// Extracts audio → transcribes with Whisper → burns subtitles into video
-console.log('Defining route: /api/add-subtitlies');
-app.post('/api/add-subtitles', async (req, res) => {
-  const { filename, user_id } = req.body;
-  const TIMEOUT_MS = 120000;
-  console.log("📝 Add subtitles requested by user:", user_id);
-
-  // Validate input
-  if (!filename || ['..', '/', '\\'].some(c => filename.includes(c))) {
-    return res.status(400).json({ success: false, message: 'Invalid filename' });
-  }
+/**
+ * POST /api/parse-prompt
+ * Parses a user's prompt and returns structured editing commands
+ */
+console.log('Defining route: /api/parse-prompt');
+app.post('/api/parse-prompt', async (req, res) => {
+  const { prompt, parser } = req.body;
 
-  const inputFilePath = getVideoPath(filename);
-  if (!inputFilePath || !fs.existsSync(inputFilePath)) {
-    return res.status(404).json({ success: false, message: 'Video file not found.' });
+  if (!prompt) {
+    return res.status(400).json({ success: false, message: 'No prompt provided' });
   }
 
-  const uniqueSuffix = `${Date.now()}-${Math.round(Math.random() * 1e9)}`;
-  const audioFilename = `${uniqueSuffix}.mp3`;
-  const audioFilePath = path.join(audioDir, audioFilename);
-  const srtFilename = `subtitles-${uniqueSuffix}.srt`;
-  const srtFilePath = path.join(subtitlesDir, srtFilename);
-  const ext = path.extname(filename);
-  const outputFilename = `subtitled-${uniqueSuffix}${ext}`;
-  const outputFilePath = path.join(cutsDir, outputFilename);
-
   try {
-    // Step 1: Extract audio
-    await runFFmpeg([
-      '-nostdin', '-threads', '1',
-      '-i', inputFilePath,
-      '-vn', '-acodec', 'libmp3lame', '-ar', '44100', '-ac', '2', '-ab', '192k',
-      audioFilePath
-    ], TIMEOUT_MS);
-
-    // Step 2: Whisper transcription
-    const transcription = await openai.audio.transcriptions.create({
-      model: "whisper-1",
-      file: fs.createReadStream(audioFilePath),
-      response_format: "srt"
-    });
-
-    fs.writeFileSync(srtFilePath, transcription);
-
-    // Step 3: Burn subtitles
-    await runFFmpeg([
-      '-nostdin', '-threads', '1',
-      '-i', inputFilePath,
-      '-vf', `subtitles=${srtFilePath}`,
-      '-c:a', 'copy',
-      outputFilePath
-    ], TIMEOUT_MS);
+    const parsed = await parsePrompt(prompt, { parser });
+    return res.status(200).json({ success: true, ...parsed });
 
-    // Cleanup
-    if (fs.existsSync(audioFilePath)) fs.unlinkSync(audioFilePath);
-    if (fs.existsSync(srtFilePath)) fs.unlinkSync(srtFilePath);
-    fs.unlinkSync(inputFilePath); // optional: remove original video to save space
-
-    return res.status(200).json({
-      success: true,
-      message: 'Subtitles added and burned into video.',
-      url: `/uploads/cuts/${outputFilename}`
-    });
-
-  } catch (err) {
-    console.error("🔥 Subtitle process failed:", err.message);
-    return res.status(500).json({ success: false, message: 'Subtitle generation failed.', error: err.message });
-  }
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, message: error.message, errors: error.errors });
+    }
 
-  function runFFmpeg(args, timeoutMs) {
-    return new Promise((resolve, reject) => {
-      const ffmpeg = spawn('ffmpeg', args);
-      const timeout = setTimeout(() => {
-        ffmpeg.kill('SIGKILL');
-        reject(new Error('FFmpeg timed out'));
-      }, timeoutMs);
-
-      ffmpeg.on('close', code => {
-        clearTimeout(timeout);
-        return code === 0 ? resolve() : reject(new Error(`FFmpeg exited with code ${code}`));
-      });
-
-      ffmpeg.on('error', err => {
-        clearTimeout(timeout);
-        reject(err);
-      });
+    console.error("Error parsing prompt:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to parse prompt",
+      error: error.message
     });
   }
 });
 
-console.log('Defining route: /api/remove-segment');
-app.post('/api/remove-segment', async (req, res) => {
-  const { filename, start, end, user_id } = req.body;
-  const TIMEOUT_MS = 120000;
+/**
+ * POST /api/execute
+ * Parses a prompt and runs every resulting action in order, feeding each
+ * step's output file into the next one
+ */
+console.log('Defining route: /api/execute');
+app.post('/api/execute', async (req, res) => {
+  const { filename, prompt, session_id, parser } = req.body;
 
-  // 1️⃣ Validate input
-  if (!filename || !start || !end) {
-    return res.status(400).json({ success: false, message: 'Missing required fields: filename, start, and end.' });
+  if (!filename || !prompt) {
+    return res.status(400).json({ success: false, message: 'Missing required fields: filename and prompt.' });
   }
-  if (filename.includes('..') || filename.includes('/') || filename.includes('\\')) {
+
+  if (!isSafeFilename(filename)) {
     return res.status(400).json({ success: false, message: 'Invalid filename.' });
   }
 
-  const inputFilePath = getVideoPath(filename);
-  if (!inputFilePath || !fs.existsSync(inputFilePath)) {
+  if (!getVideoPath(filename)) {
     return res.status(404).json({ success: false, message: 'Video file not found.' });
   }
 
-  // 2️⃣ Normalize 'start', 'end', and relative expressions
-  let parsedStart = start === 'start' || start === 'beginning' ? '00:00:00' : start;
-  let parsedEnd = end;
+  const session = getSession(session_id);
+  if (session_id && !session) {
+    return res.status(404).json({ success: false, message: 'Session not found.' });
+  }
 
+  let actions, usedParser;
   try {
-    const durationSec = await getDuration(inputFilePath);
-    const endOfVideo = secondsToTime(durationSec);
+    ({ actions, parser: usedParser } = await parsePrompt(prompt, { parser }));
+  } catch (error) {
+    console.error("Error parsing prompt:", error);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to parse prompt',
+      errors: error.errors,
+      error: error.message
+    });
+  }
 
-    const endExpr = /^end-(\d{2}):(\d{2}):(\d{2})$/;
+  const steps = actions.map(act => ({ definition: getAction(act.action), act }));
 
-    if (parsedEnd === 'end') parsedEnd = endOfVideo;
-    if (endExpr.test(parsedStart)) {
-      const [_, hh, mm, ss] = parsedStart.match(endExpr);
-      const offset = (+hh) * 3600 + (+mm) * 60 + (+ss);
-      parsedStart = secondsToTime(Math.max(0, durationSec - offset));
-    }
-    if (endExpr.test(parsedEnd)) {
-      const [_, hh, mm, ss] = parsedEnd.match(endExpr);
-      const offset = (+hh) * 3600 + (+mm) * 60 + (+ss);
-      parsedEnd = secondsToTime(Math.max(0, durationSec - offset));
-    }
+  const nonVideoIndex = steps.findIndex(({ definition }) => definition.producesVideo === false);
+  if (nonVideoIndex !== -1 && nonVideoIndex !== steps.length - 1) {
+    return res.status(400).json({ success: false, message: `${steps[nonVideoIndex].act.action} can only be the last step.` });
+  }
 
-    // 3️⃣ Validate times
-    const timeRegex = /^([0-1]?\d|2[0-3]):([0-5]\d):([0-5]\d)$/;
-    if (!timeRegex.test(parsedStart) || !timeRegex.test(parsedEnd)) {
-      return res.status(400).json({ success: false, message: 'Invalid time format. Use HH:MM:SS or end-relative format.' });
-    }
+  if (!session && steps.some(({ definition }) => definition.history)) {
+    return res.status(400).json({ success: false, message: 'Undo and redo require a session_id.' });
+  }
 
-    const startSec = timeToSeconds(parsedStart);
-    const endSec = timeToSeconds(parsedEnd);
+  const job = enqueueJob('execute', { filename, prompt, parser: usedParser, actions }, async (job) => {
+    const report = [];
+    let currentFilename = filename;
+    let currentUrl = getVideoUrl(filename);
 
-    if (endSec <= startSec) {
-      return res.status(400).json({ success: false, message: 'End time must be after start time.' });
-    }
+    for (const [index, { definition, act }] of steps.entries()) {
+      const { action, ...params } = act;
+      const step = { step: index + 1, action, params, status: 'running' };
+      report.push(step);
 
-    // 4️⃣ Prepare paths
-    const uid = `${Date.now()}-${Math.floor(Math.random() * 1e6)}`;
-    const ext = path.extname(filename);
-    const partA = startSec > 0 ? path.join(cutsDir, `keepA-${uid}${ext}`) : null;
-    const partB = parsedEnd !== endOfVideo ? path.join(cutsDir, `keepB-${uid}${ext}`) : null;
-    const listFile = path.join(cutsDir, `list-${uid}.txt`);
-    const finalName = `removed-${uid}${ext}`;
-    const finalPath = path.join(cutsDir, finalName);
-
-    // 5️⃣ Run FFmpeg cuts
-    if (partA) {
-      await runFFmpeg(['-y', '-i', inputFilePath, '-ss', '00:00:00', '-to', parsedStart, '-c', 'copy', partA], TIMEOUT_MS);
-    }
+      try {
+        if (definition.history) {
+          const target = session.cursor + definition.history;
+          if (target < 0 || target >= session.versions.length) {
+            throw new Error(`Nothing to ${action}.`);
+          }
 
-    if (partB) {
-      await runFFmpeg(['-y', '-i', inputFilePath, '-ss', parsedEnd, '-to', endOfVideo, '-c', 'copy', partB], TIMEOUT_MS);
-    }
+          moveSessionCursor(session, target);
+          currentFilename = session.versions[target].filename;
+          currentUrl = getVideoUrl(currentFilename);
+          reportProgress(job, ((index + 1) / steps.length) * 100);
+        } else {
+          const inputPath = getVideoPath(currentFilename);
+          if (!inputPath) {
+            throw new Error(`Input file ${currentFilename} not found.`);
+          }
 
-    // 6️⃣ Write concat list
-    const filesToConcat = [partA, partB].filter(Boolean);
-    if (filesToConcat.length === 0) {
-      return res.status(400).json({ success: false, message: 'Nothing left to keep. Aborting.' });
-    }
+          const operation = await prepareAction(definition, inputPath, params);
+          const output = await operation.run({
+            job,
+            from: (index / steps.length) * 100,
+            to: ((index + 1) / steps.length) * 100
+          });
 
-    fs.writeFileSync(listFile, filesToConcat.map(p => `file '${p}'`).join('\n'));
+          if (definition.producesVideo !== false && session) {
+            recordVersion(session, output.filename, action, params);
+          }
 
-    // 7️⃣ Concatenate
-    await runFFmpeg([
-      '-y', '-f', 'concat', '-safe', '0', '-i', listFile,
-      '-c:v', 'libx264', '-preset', 'fast', '-c:a', 'aac',
-      finalPath
-    ], TIMEOUT_MS);
+          currentFilename = output.filename;
+          currentUrl = output.url;
+        }
 
-    // 8️⃣ Cleanup
-    [partA, partB, listFile, inputFilePath].forEach(p => {
-      if (p && fs.existsSync(p)) fs.unlinkSync(p);
-    });
+        Object.assign(step, { status: 'completed', filename: currentFilename, url: currentUrl });
+      } catch (err) {
+        Object.assign(step, { status: 'failed', error: err.message });
+        const failure = new Error(`Step ${step.step} (${action}) failed: ${err.message}`);
+        failure.code = err.code;
+        failure.result = { steps: report };
+        throw failure;
+      }
+    }
 
-    return res.status(200).json({
-      success: true,
-      message: 'Segment removed successfully.',
-      url: `/uploads/cuts/${finalName}`
-    });
+    return {
+      message: `Executed ${report.length} action(s).`,
+      url: currentUrl,
+      filename: currentFilename,
+      steps: report,
+      session: session ? serializeSession(session) : undefined
+    };
+  });
 
-  } catch (err) {
-    console.error("❌ Segment removal error:", err);
-    return res.status(500).json({ success: false, message: 'Internal error during segment removal.', error: err.message });
-  }
+  return sendJobAccepted(res, job, { actions, parser: usedParser });
+});
 
-  // ⏱ Helper: get duration using ffprobe
-  function getDuration(filepath) {
-    return new Promise((resolve, reject) => {
-      const cmd = spawn('ffprobe', ['-v', 'error', '-show_entries', 'format=duration', '-of', 'default=noprint_wrappers=1:nokey=1', filepath]);
-      let output = '';
-      cmd.stdout.on('data', chunk => output += chunk);
-      cmd.on('close', () => resolve(parseFloat(output.trim())));
-      cmd.on('error', reject);
-    });
-  }
+// ============================
+// Action Routes (generated from the registry)
+// ============================
+// Body fields other than filename/session_id/user_id are the action's
+// parameters and are validated against its schema before anything runs.
+// Multi-input actions also accept every clip in "files", the first one
+// standing in for filename.
 
-  // ⏱ Helper: run ffmpeg safely
-  function runFFmpeg(args, timeoutMs) {
-    return new Promise((resolve, reject) => {
-      const proc = spawn('ffmpeg', args);
-      const timeout = setTimeout(() => {
-        proc.kill('SIGKILL');
-        reject(new Error('FFmpeg timed out'));
-      }, timeoutMs);
-
-      proc.on('close', code => {
-        clearTimeout(timeout);
-        return code === 0 ? resolve() : reject(new Error(`FFmpeg exited with code ${code}`));
-      });
-
-      proc.on('error', err => {
-        clearTimeout(timeout);
-        reject(err);
-      });
-    });
-  }
+/**
+ * Mounts POST <action.route> for one registered action.
+ */
+function mountActionRoute(action) {
+  console.log(`Defining route: ${action.route}`);
+  app.post(action.route, async (req, res) => {
+    let { filename, session_id, user_id, ...params } = req.body;
+    console.log(`🎬 ${action.name} requested by user:`, user_id);
+
+    if (action.multiInput && !filename && Array.isArray(params.files)) {
+      [filename, ...params.files] = params.files;
+    }
 
-  // ⏱ Time conversions
-  function timeToSeconds(str) {
-    const [h, m, s] = str.split(':').map(Number);
-    return h * 3600 + m * 60 + s;
-  }
+    if (!isSafeFilename(filename)) {
+      return res.status(400).json({ success: false, message: 'Invalid filename.' });
+    }
 
-  function secondsToTime(secs) {
-    const h = String(Math.floor(secs / 3600)).padStart(2, '0');
-    const m = String(Math.floor((secs % 3600) / 60)).padStart(2, '0');
-    const s = String(Math.floor(secs % 60)).padStart(2, '0');
-    return `${h}:${m}:${s}`;
-  }
-});
+    const inputPath = getVideoPath(filename);
+    if (!inputPath) {
+      return res.status(404).json({ success: false, message: 'Video file not found.' });
+    }
 
+    if (session_id && !getSession(session_id)) {
+      return res.status(404).json({ success: false, message: 'Session not found.' });
+    }
 
-console.log('Defining route: /api/export');
-app.post('/api/export', (req, res) => {
-  const { filename, targetFormat, newName, user_id } = req.body;
+    const errors = validateActionParams(action, params);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: 'Invalid parameters.', errors });
+    }
 
-  // Step 1: Check if video exists
-  const inputFilePath = getVideoPath(filename);
-  if (!inputFilePath || !fs.existsSync(inputFilePath)) {
-    return res.status(404).json({
-      success: false,
-      message: 'Video file not found.'
-    });
-  }
+    let operation;
+    try {
+      operation = await prepareAction(action, inputPath, params);
+    } catch (err) {
+      console.error(`❌ ${action.name} rejected:`, err.message);
+      return res.status(err.status || 500).json({ success: false, message: err.message });
+    }
 
-  // Step 2: Determine base filename
-  let baseName = `exported-${Date.now()}`;
-  if (newName && typeof newName === 'string') {
-    baseName = newName.replace(/\s+/g, '_');
-  }
+    const finish = (output) => {
+      const session = action.producesVideo === false
+        ? undefined
+        : trackEdit(session_id, output.filename, action.name, params);
+      return { message: action.successMessage, ...output, session };
+    };
 
-  // Step 3: Determine export format
-  const allowedFormats = ['mp4', 'mov', 'avi', 'webm', 'mkv'];
-  let extension = 'mp4';
-  if (targetFormat && typeof targetFormat === 'string' && allowedFormats.includes(targetFormat)) {
-    extension = targetFormat;
-  }
+    if (action.runAsJob) {
+      const job = enqueueJob(action.name, { filename, ...params }, async (job) => finish(await operation.run({ job })));
+      return sendJobAccepted(res, job);
+    }
 
-  const outputFilename = `${baseName}.${extension}`;
-  const outputPath = path.join(cutsDir, outputFilename);
-
-  // Step 4: FFmpeg arguments
-  const ffmpegArgs = [
-    '-y',
-    '-i', inputFilePath,
-    '-c:v', 'libx264',
-    '-preset', 'fast',
-    '-crf', '23',
-    '-c:a', 'aac',
-    '-b:a', '192k',
-    outputPath
-  ];
-
-  console.log("🚀 Spawning FFmpeg with args:", ffmpegArgs.join(' '));
-
-  // Step 5: Run FFmpeg with optional timeout
-  const ffmpeg = spawn('ffmpeg', ffmpegArgs);
-  const TIMEOUT_MS = 2 * 60 * 1000; // 2 minutes
-
-  const timeout = setTimeout(() => {
-    ffmpeg.kill('SIGKILL');
-    console.error('❌ FFmpeg process killed due to timeout.');
-  }, TIMEOUT_MS);
-
-  ffmpeg.stderr.on('data', (data) => {
-    console.log(`📼 FFmpeg stderr: ${data}`);
+    try {
+      const output = await operation.run();
+      return res.status(200).json({ success: true, ...finish(output) });
+    } catch (err) {
+      console.error(`❌ ${action.name} failed:`, err.message);
+      return res.status(500).json({ success: false, message: `${action.name} failed.`, error: err.message, code: err.code });
+    }
   });
+}
 
-  ffmpeg.on('close', (code) => {
-    clearTimeout(timeout);
-    if (code === 0) {
-      console.log('✅ Export finished successfully');
-
-      // Optional: delete original file after export
-      // fs.unlinkSync(inputFilePath);
+listActions().filter(action => action.route).forEach(mountActionRoute);
 
-      return res.status(200).json({
-        success: true,
-        message: 'Export complete.',
-        url: `/uploads/cuts/${outputFilename}`
-      });
-    }
+/**
+ * GET /force-download/:filename
+ * Forces download of an output file by filename
+ */
+console.log('Defining route: /api/force-download');
+app.get('/force-download/:filename', (req, res) => {
+  const filename = req.params.filename;
+  const filePath = path.join(rootDir, 'downloads', filename);
 
-    console.error('❌ FFmpeg exited with code:', code);
-    return res.status(500).json({
-      success: false,
-      message: 'Export failed.',
-      code: code
-    });
-  });
+  if (!fs.existsSync(filePath)) {
+    return res.status(404).send('File not found');
+  }
 
-  ffmpeg.on('error', (err) => {
-    clearTimeout(timeout);
-    console.error('🚨 FFmpeg spawn error:', err);
-    return res.status(500).json({
-      success: false,
-      message: 'Failed to start FFmpeg.',
-      error: err.message
-    });
-  });
+  return res.download(filePath); // Triggers browser download
 });
 
+
 app.get('/api/download/:filename', (req, res) => {
   const { filename } = req.params;
   const filePath = path.join(cutsDir, filename); // 👈 points to /uploads/cuts
@@ -1307,7 +801,3 @@ app.get('/api/download/:filename', (req, res) => {
 app.listen(port, '0.0.0.0', () => {
   console.log(`Server listening on http://0.0.0.0:${port}`);
 });
-
-
-
-            
@@ -0,0 +1,106 @@
+// ============================
+// Mock OpenAI-Compatible Server
+// ============================
+// Serves the fake provider over the OpenAI HTTP API so the backend can be
+// exercised end to end through the real openai provider, with no network:
+//   npm run mock-llm
+//   LLM_BASE_URL=http://localhost:5099/v1 npm start
+// Tests import createMockServer() and listen on a free port instead.
+import express from 'express';
+import multer from 'multer';
+import { pathToFileURL } from 'url';
+import fake from '../lib/providers/fake.js';
+import { parseSrt } from '../lib/transcript.js';
+
+/**
+ * Builds a transcription response in the requested response_format, like the
+ * OpenAI API: srt/vtt/text as plain text, json/verbose_json as JSON. Word
+ * timestamps are included in verbose_json when "word" granularity is requested.
+ */
+async function buildTranscription(provider, { format = 'json', granularities = [] }) {
+  const srt = await provider.transcribe();
+  const cues = parseSrt(srt);
+  const text = cues.map(cue => cue.text.replace(/\n/g, ' ')).join(' ');
+
+  switch (format) {
+    case 'srt':
+      return { type: 'text/plain', body: srt };
+    case 'vtt':
+      return { type: 'text/plain', body: `WEBVTT\n\n${srt.replace(/(\d{2}:\d{2}:\d{2}),(\d{3})/g, '$1.$2')}` };
+    case 'text':
+      return { type: 'text/plain', body: text };
+    case 'verbose_json': {
+      const words = granularities.includes('word') ? await provider.transcribeWords() : undefined;
+      return {
+        type: 'json',
+        body: {
+          task: 'transcribe',
+          language: 'english',
+          duration: cues.length ? cues[cues.length - 1].end : 0,
+          text,
+          segments: cues.map((cue, id) => ({ id, start: cue.start, end: cue.end, text: cue.text })),
+          ...(words && { words })
+        }
+      };
+    }
+    default:
+      return { type: 'json', body: { text } };
+  }
+}
+
+/**
+ * Sends an error the way the OpenAI API does, so the SDK raises it as an APIError.
+ */
+function sendError(res, err) {
+  console.error('🧪 Mock LLM request failed:', err);
+  res.status(500).json({ error: { message: err.message, type: 'server_error' } });
+}
+
+/**
+ * Creates the mock server's Express app, backed by the fake provider.
+ */
+function createMockServer() {
+  const provider = fake.create();
+  const app = express();
+  const upload = multer({ storage: multer.memoryStorage() });
+
+  app.use(express.json({ limit: '5mb' }));
+
+  app.post('/v1/chat/completions', async (req, res) => {
+    try {
+      const content = await provider.chat(req.body.messages || []);
+      res.json({
+        id: `chatcmpl-mock-${Date.now()}`,
+        object: 'chat.completion',
+        created: Math.floor(Date.now() / 1000),
+        model: req.body.model,
+        choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }]
+      });
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  app.post('/v1/audio/transcriptions', upload.single('file'), async (req, res) => {
+    try {
+      // The SDK sends arrays as repeated "timestamp_granularities[]" fields
+      const granularities = [req.body.timestamp_granularities ?? req.body['timestamp_granularities[]'] ?? []].flat();
+      const { type, body } = await buildTranscription(provider, { format: req.body.response_format, granularities });
+      if (type === 'json') res.json(body);
+      else res.type(type).send(body);
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  return app;
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = process.env.MOCK_LLM_PORT || 5099;
+  createMockServer().listen(port, () => {
+    console.log(`🧪 Mock LLM server listening on http://localhost:${port}/v1`);
+  });
+}
+
+export { createMockServer };
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePromptLocally } from '../lib/local-parser.js';
+
+test('steps joined by "and" become separate actions', () => {
+  assert.deepEqual(parsePromptLocally('Remove the first 10 seconds and add subtitles'), {
+    actions: [{ action: 'remove_segment', start: '00:00:00', end: '00:00:10' }, { action: 'add_subtitles' }],
+    errors: []
+  });
+});
+
+test('steps joined by "then" become separate actions', () => {
+  const { actions } = parsePromptLocally('cut from 00:00:05 to 00:00:10, then add subtitles');
+  assert.deepEqual(actions.map(action => action.action), ['cut', 'add_subtitles']);
+});
+
+test('"and" inside a step does not split it', () => {
+  assert.deepEqual(parsePromptLocally('cut between 00:00:05 and 00:00:10').actions, [{ action: 'cut', start: '00:00:05', end: '00:00:10' }]);
+  assert.deepEqual(parsePromptLocally('merge a.mp4 and b.mp4').actions, [{ action: 'merge', files: ['a.mp4', 'b.mp4'] }]);
+  assert.deepEqual(parsePromptLocally('Add Spanish and French subtitles').actions[0].target_languages, ['es', 'fr']);
+  assert.equal(parsePromptLocally("Add 'Cut and Run' at the end").actions.length, 1);
+});
+
+test('an unknown step is reported instead of dropped', () => {
+  const { actions, errors } = parsePromptLocally('Remove the first 10 seconds and sharpen the video');
+  assert.equal(actions.length, 1);
+  assert.deepEqual(errors, [{ index: 1, field: 'prompt', message: 'could not understand "sharpen the video"' }]);
+});
+
+test('slow motion covers the whole video only when no time is named', () => {
+  assert.deepEqual(parsePromptLocally('slow down the whole video').actions, [{ action: 'slow_motion', start: 'start', end: 'end', speed: 0.5 }]);
+  assert.deepEqual(parsePromptLocally('slow motion at half speed').actions, [{ action: 'slow_motion', start: 'start', end: 'end', speed: 0.5 }]);
+  assert.equal(parsePromptLocally('slow down around the climax at 1m20s').actions.length, 0);
+});
+
+test('frame numbers become f:<frame> times', () => {
+  assert.deepEqual(parsePromptLocally('cut frame 1500 to frame 1800').actions, [{ action: 'cut', start: 'f:1500', end: 'f:1800' }]);
+  assert.deepEqual(parsePromptLocally('remove from frame 100 to 00:00:10').actions, [{ action: 'remove_segment', start: 'f:100', end: '00:00:10' }]);
+});
+
+test('a bare time followed by "for N seconds" is a start and a duration', () => {
+  assert.deepEqual(parsePromptLocally('Slow down 1:20 for 15 seconds').actions, [{ action: 'slow_motion', start: '00:01:20', end: '+00:00:15', speed: 0.5 }]);
+});
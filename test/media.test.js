@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runTool, parseFFmpegTime, buildAtempo, escapeFilterValue, even } from '../lib/media.js';
+
+// runTool spawns any executable; node itself stands in for ffmpeg
+const node = process.execPath;
+
+test('runTool resolves with stdout and the stderr tail', async () => {
+  const { stdout, stderr } = await runTool(node, ['-e', 'process.stdout.write("out"); process.stderr.write("err")'], {
+    timeoutMs: 5000, captureStdout: true
+  });
+  assert.equal(stdout, 'out');
+  assert.equal(stderr, 'err');
+});
+
+test('runTool passes every stderr chunk to onStderr', async () => {
+  let seen = '';
+  await runTool(node, ['-e', 'process.stderr.write("frame=1 time=00:00:01.00")'], {
+    timeoutMs: 5000, onStderr: chunk => { seen += chunk; }
+  });
+  assert.match(seen, /time=00:00:01\.00/);
+});
+
+test('runTool rejects a non-zero exit with EXIT_CODE', async () => {
+  await assert.rejects(runTool(node, ['-e', 'process.stderr.write("boom"); process.exit(3)'], { timeoutMs: 5000 }), err => {
+    assert.equal(err.name, 'MediaError');
+    assert.equal(err.code, 'EXIT_CODE');
+    assert.equal(err.exitCode, 3);
+    assert.equal(err.stderr, 'boom');
+    return true;
+  });
+});
+
+test('runTool kills a process that runs past its timeout', async () => {
+  await assert.rejects(runTool(node, ['-e', 'setTimeout(() => {}, 10000)'], { timeoutMs: 200 }), err => {
+    assert.equal(err.code, 'TIMEOUT');
+    assert.equal(err.signal, 'SIGKILL');
+    return true;
+  });
+});
+
+test('runTool kills the process when the signal aborts', async () => {
+  const controller = new AbortController();
+  const running = runTool(node, ['-e', 'setTimeout(() => {}, 10000)'], { timeoutMs: 5000, signal: controller.signal });
+  setTimeout(() => controller.abort(), 100);
+  await assert.rejects(running, { code: 'CANCELLED' });
+});
+
+test('runTool does not start when the signal is already aborted', async () => {
+  const controller = new AbortController();
+  controller.abort();
+  await assert.rejects(runTool(node, ['-e', ''], { timeoutMs: 5000, signal: controller.signal }), { code: 'CANCELLED' });
+});
+
+test('runTool reports a missing executable as SPAWN_FAILED', async () => {
+  await assert.rejects(runTool('no-such-tool-here', [], { timeoutMs: 5000 }), { code: 'SPAWN_FAILED' });
+});
+
+test('parseFFmpegTime reads the last time= value of a chunk', () => {
+  assert.equal(parseFFmpegTime('frame=10 time=00:00:01.50 bitrate=1'), 1.5);
+  assert.equal(parseFFmpegTime('time=00:00:01.00 ... time=01:02:03.25'), 3723.25);
+  assert.equal(parseFFmpegTime('Input #0, mov,mp4'), null);
+});
+
+test('buildAtempo keeps a 0.5–2 factor in one filter', () => {
+  assert.equal(buildAtempo(1.5), 'atempo=1.5');
+  assert.equal(buildAtempo(0.5), 'atempo=0.5');
+});
+
+test('buildAtempo cascades factors outside 0.5–2', () => {
+  assert.equal(buildAtempo(8), 'atempo=2,atempo=2,atempo=2');
+  assert.equal(buildAtempo(0.25), 'atempo=0.5,atempo=0.5');
+  assert.equal(buildAtempo(3), 'atempo=2,atempo=1.5');
+});
+
+test('even rounds pixel sizes to an even number of at least 2', () => {
+  assert.equal(even(101), 102);
+  assert.equal(even(99.4), 100);
+  assert.equal(even(640), 640);
+  assert.equal(even(0.4), 2);
+});
+
+test('escapeFilterValue quotes a plain value', () => {
+  assert.equal(escapeFilterValue('hello'), "\\'hello\\'");
+});
+
+test('escapeFilterValue escapes graph and option separators', () => {
+  assert.equal(escapeFilterValue('a:b,c'), "\\'a:b\\,c\\'");
+  assert.equal(escapeFilterValue('[x];y'), "\\'\\[x\\]\\;y\\'");
+  assert.equal(escapeFilterValue('C:\\dir'), "\\'C:\\\\dir\\'");
+  assert.equal(escapeFilterValue("it's"), "\\'it\\'\\\\\\'\\'s\\'");
+});
@@ -0,0 +1,91 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import fake from '../lib/providers/fake.js';
+import openai from '../lib/providers/openai.js';
+import { wordsToCues } from '../lib/transcript.js';
+import { createMockServer } from '../scripts/mock-llm-server.js';
+
+// Canned replies and transcripts only, whatever the environment says
+delete process.env.FAKE_LLM_REPLY;
+delete process.env.FAKE_TRANSCRIPT_FILE;
+
+const provider = fake.create();
+
+test('fake chat answers with the local parser\'s actions', async () => {
+  const reply = JSON.parse(await provider.chat([{ role: 'user', content: 'cut from 00:00:05 to 00:00:10' }]));
+  assert.deepEqual(reply, { actions: [{ action: 'cut', start: '00:00:05', end: '00:00:10' }] });
+});
+
+test('fake chat tags translated subtitle lines with the language', async () => {
+  const reply = JSON.parse(await provider.chat([{ role: 'user', content: JSON.stringify({ language: 'Spanish', lines: ['Hello'] }) }]));
+  assert.deepEqual(reply, { lines: ['[Spanish] Hello'] });
+});
+
+test('fake transcribeWords spreads each cue\'s words over its span', async () => {
+  const words = await provider.transcribeWords();
+  assert.equal(words[0].word, 'This');
+  assert.equal(words[0].start, 0);
+  assert.ok(words.every(word => word.end > word.start));
+  assert.equal(wordsToCues(words).map(cue => cue.text).join(' '), 'This is a sample transcript. It was produced by the fake provider.');
+});
+
+// The openai provider against the mock server, as the backend uses it offline
+let server;
+let baseURL;
+let client;
+let audioPath;
+
+before(async () => {
+  server = createMockServer().listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseURL = `http://127.0.0.1:${server.address().port}/v1`;
+  client = openai.create({ baseURL, chatModel: 'mock', transcriptionModel: 'mock' });
+  audioPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'mock-llm-')), 'audio.mp3');
+  fs.writeFileSync(audioPath, 'not really audio');
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(path.dirname(audioPath), { recursive: true, force: true });
+});
+
+/**
+ * Posts a transcription request to the mock server with the given form fields.
+ */
+async function requestTranscription(fields) {
+  const form = new FormData();
+  form.append('file', new Blob(['not really audio']), 'audio.mp3');
+  form.append('model', 'mock');
+  for (const [name, value] of Object.entries(fields)) form.append(name, value);
+  return fetch(`${baseURL}/audio/transcriptions`, { method: 'POST', body: form });
+}
+
+test('mock server answers chat completions', async () => {
+  const reply = JSON.parse(await client.chat([{ role: 'user', content: 'undo' }]));
+  assert.deepEqual(reply, { actions: [{ action: 'undo' }] });
+});
+
+test('mock server returns SRT transcriptions', async () => {
+  const srt = await client.transcribe(audioPath);
+  assert.match(srt, /00:00:00,000 --> 00:00:02,000\nThis is a sample transcript\./);
+});
+
+test('mock server honors response_format', async () => {
+  const json = await (await requestTranscription({})).json();
+  assert.deepEqual(json, { text: 'This is a sample transcript. It was produced by the fake provider.' });
+
+  const vtt = await (await requestTranscription({ response_format: 'vtt' })).text();
+  assert.match(vtt, /^WEBVTT\n\n1\n00:00:00\.000 --> 00:00:02\.000\n/);
+
+  const verbose = await (await requestTranscription({ response_format: 'verbose_json' })).json();
+  assert.equal(verbose.duration, 4);
+  assert.deepEqual(verbose.segments[1], { id: 1, start: 2, end: 4, text: 'It was produced by the fake provider.' });
+});
+
+test('mock server returns word timestamps for verbose_json', async () => {
+  const words = await client.transcribeWords(audioPath, { prompt: 'Zyntra' });
+  assert.deepEqual(words, await provider.transcribeWords());
+});
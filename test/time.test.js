@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  timeToSeconds, secondsToTime, resolveTime, resolveRangeExpression, resolveTimeRange, isTimeExpression, isRangeExpression
+} from '../lib/time.js';
+
+const video = { duration: 120, fps: 25 };
+
+test('timeToSeconds reads clock times, milliseconds and plain seconds', () => {
+  assert.equal(timeToSeconds('01:02:03'), 3723);
+  assert.equal(timeToSeconds('00:00:05.250'), 5.25);
+  assert.equal(timeToSeconds('1:20'), 80);
+  assert.equal(timeToSeconds('65.5'), 65.5);
+  assert.ok(Number.isNaN(timeToSeconds('abc')));
+  assert.ok(Number.isNaN(timeToSeconds('1:2:3:4')));
+});
+
+test('timeToSeconds reads frame numbers with the frame rate', () => {
+  assert.equal(timeToSeconds('f:1500', 25), 60);
+  assert.ok(Number.isNaN(timeToSeconds('f:1500')));
+});
+
+test('secondsToTime adds milliseconds only when there are some', () => {
+  assert.equal(secondsToTime(3723), '01:02:03');
+  assert.equal(secondsToTime(5.25), '00:00:05.250');
+});
+
+test('resolveTime handles start, end and percentages', () => {
+  assert.equal(resolveTime('start', video), 0);
+  assert.equal(resolveTime('beginning', video), 0);
+  assert.equal(resolveTime('end', video), 120);
+  assert.equal(resolveTime('25%', video), 30);
+});
+
+test('resolveTime handles offsets from either edge', () => {
+  assert.equal(resolveTime('start+00:00:10', video), 10);
+  assert.equal(resolveTime('end-00:00:10', video), 110);
+  assert.equal(resolveTime('end-10%', video), 108);
+  assert.equal(resolveTime('end-00:05:00', video), 0);
+  assert.equal(resolveTime('+5', { ...video, origin: 20 }), 25);
+  assert.equal(resolveTime('start+f:50', video), 2);
+});
+
+test('resolveRangeExpression resolves named ranges', () => {
+  assert.deepEqual(resolveRangeExpression('first 30%', video), { start: 0, end: 36 });
+  assert.deepEqual(resolveRangeExpression('last minute', video), { start: 60, end: 120 });
+  assert.deepEqual(resolveRangeExpression('first 15 seconds', video), { start: 0, end: 15 });
+  assert.deepEqual(resolveRangeExpression('last 00:00:20', video), { start: 100, end: 120 });
+  assert.deepEqual(resolveRangeExpression('the middle third', video), { start: 40, end: 80 });
+  assert.deepEqual(resolveRangeExpression('second half', video), { start: 60, end: 120 });
+  assert.deepEqual(resolveRangeExpression('last quarter', video), { start: 90, end: 120 });
+  assert.deepEqual(resolveRangeExpression('whole', video), { start: 0, end: 120 });
+  assert.equal(resolveRangeExpression('fourth third', video), null);
+  assert.equal(resolveRangeExpression('somewhere', video), null);
+});
+
+test('resolveTimeRange snaps to frames and keeps the exact end', () => {
+  assert.deepEqual(resolveTimeRange({ start: '00:00:01.01', end: 'end' }, video), { start: 1, end: 120 });
+  assert.deepEqual(resolveTimeRange({ start: 'f:100', end: '+2' }, video), { start: 4, end: 6 });
+  assert.deepEqual(resolveTimeRange({ range: 'first half' }, video), { start: 0, end: 60 });
+});
+
+test('resolveTimeRange rejects missing, invalid and empty ranges with a 400', () => {
+  assert.throws(() => resolveTimeRange({ start: '00:00:10' }, video), { status: 400 });
+  assert.throws(() => resolveTimeRange({ start: 'soon', end: 'end' }, video), { status: 400 });
+  assert.throws(() => resolveTimeRange({ start: '00:00:10', end: '00:00:05' }, video), { status: 400 });
+  assert.throws(() => resolveTimeRange({ range: 'someday' }, video), { status: 400 });
+});
+
+test('isTimeExpression accepts the shared time grammar', () => {
+  for (const value of ['00:01:02', '01:02.5', '12', '12.5', 'f:300', '30%', 'start', 'END', 'start+10', 'end-00:00:05', 'end-5%', '+3']) {
+    assert.ok(isTimeExpression(value), value);
+  }
+  for (const value of ['soon', 'f:', '1:2:3:4', 'end+5', '-5', '']) {
+    assert.ok(!isTimeExpression(value), value);
+  }
+});
+
+test('isRangeExpression accepts named ranges', () => {
+  for (const value of ['first 30%', 'last minute', 'last 2 minutes', 'middle third', 'Second Half', 'whole']) {
+    assert.ok(isRangeExpression(value), value);
+  }
+  assert.ok(!isRangeExpression('middle bit'));
+});